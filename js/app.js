@@ -4,22 +4,67 @@
  */
 
 import { storage } from './storage.js';
-import { modelManager } from './model.js';
+import { modelManager, IMAGE_SIZE, DEFAULT_PREPROCESSING } from './model.js';
+import { trainer } from './trainer.js';
+import { datasetManager } from './dataset.js';
+import { backboneManager, DEFAULT_BACKBONE_ID } from './backbones.js';
+import {
+    LAYER_TYPES,
+    DEFAULT_ARCHITECTURE,
+    createLayerSpec,
+    describeArchitecture,
+    getArchitecturePresets,
+    saveArchitecturePreset,
+    deleteArchitecturePreset
+} from './architecture.js';
+import { augmentBatch, isAugmentationEnabled } from './augmentation.js';
+import { OPTIMIZERS } from './training.js';
+import { SEARCH_METRICS, createTrials, HyperparameterSearch } from './search.js';
+import {
+    BACKENDS,
+    getAvailableBackends,
+    setBackend,
+    getBackendSetting,
+    saveBackendSetting,
+    benchmarkBackends
+} from './backends.js';
+import { getMemoryGuardSettings, saveMemoryGuardSettings } from './memory.js';
+import { getFrameSource, LiveClassifier, FrameRecorder } from './webcam.js';
 import {
     showToast,
     formatTime,
     formatPercent,
+    formatBytes,
     readFileAsDataURL,
+    downloadBlob,
+    getFilePath,
+    toCSV,
+    getDroppedFiles,
     isImageFile,
+    isDatasetFile,
+    isModelBundleFile,
     createChart,
     createProbabilityChart,
     updateChart,
+    updateSampledChart,
     resetChart,
+    addChartPhaseMarker,
+    setChartSeries,
+    getChartCSV,
+    getChartImage,
     updateProbabilityChart,
-    debounce
+    debounce,
+    createElement,
+    setFormEnabled,
+    cleanupMemory,
+    renderConfusionMatrix,
+    renderClassMetricsTable
 } from './ui.js';
 
 // ==================== Application State ====================
+// Long runs thin out the batch loss chart to keep it responsive
+const MAX_BATCH_LOSS_POINTS = 500;
+
 const state = {
     classes: [],
     selectedClassId: null,
@@ -28,8 +73,30 @@ const state = {
     trainingStartTime: null,
     lossChart: null,
     accuracyChart: null,
+    batchLossChart: null,
+    lrChart: null,
+    runsChart: null,
     probabilityChart: null,
-    timerInterval: null
+    timerInterval: null,
+    modelPickerMode: null,
+    evaluationReport: null,
+    batchResults: [],
+    batchSort: { key: null, ascending: true },
+    webcamSource: null,
+    liveClassifier: null,
+    captureSource: null,
+    frameRecorder: null,
+    captureCountdown: null,
+    backbones: [],
+    uploadedBackbone: null,
+    cnnLayers: structuredClone(DEFAULT_ARCHITECTURE),
+    checkpoint: null,
+    trainingStartEpoch: 0,
+    runs: [],
+    selectedRunIds: new Set(),
+    searchRanking: [],
+    availableBackends: [],
+    isBenchmarking: false
 };
 
 // ==================== DOM Elements ====================
@@ -43,6 +110,24 @@ const elements = {
     classSelector: document.getElementById('class-selector'),
     targetClass: document.getElementById('target-class'),
 
+    // Dataset import/export
+    exportDatasetBtn: document.getElementById('export-dataset-btn'),
+    importDatasetFolderBtn: document.getElementById('import-dataset-folder-btn'),
+    datasetFolderInput: document.getElementById('dataset-folder-input'),
+    datasetImportZone: document.getElementById('dataset-import-zone'),
+    datasetImportInput: document.getElementById('dataset-import-input'),
+
+    // Webcam capture
+    captureToggleBtn: document.getElementById('capture-toggle-btn'),
+    capturePanel: document.getElementById('capture-panel'),
+    captureVideo: document.getElementById('capture-video'),
+    captureCountdown: document.getElementById('capture-countdown'),
+    captureClassName: document.getElementById('capture-class-name'),
+    captureClassCount: document.getElementById('capture-class-count'),
+    captureFps: document.getElementById('capture-fps'),
+    captureDelay: document.getElementById('capture-delay'),
+    captureRecordBtn: document.getElementById('capture-record-btn'),
+
     // Training parameters
     learningRate: document.getElementById('learning-rate'),
     lrValue: document.getElementById('lr-value'),
@@ -50,16 +135,88 @@ const elements = {
     epochs: document.getElementById('epochs'),
     epochsValue: document.getElementById('epochs-value'),
     modelArchitecture: document.getElementById('model-architecture'),
+    inputSize: document.getElementById('input-size'),
+    grayscale: document.getElementById('grayscale'),
+    resizeMode: document.getElementById('resize-mode'),
+    normalization: document.getElementById('normalization'),
+    backboneSelect: document.getElementById('backbone-select'),
+    backboneStatus: document.getElementById('backbone-status'),
+    importBackboneBtn: document.getElementById('import-backbone-btn'),
+    backboneInput: document.getElementById('backbone-input'),
+    backboneForm: document.getElementById('backbone-form'),
+    backboneName: document.getElementById('backbone-name'),
+    backboneCutLayer: document.getElementById('backbone-cut-layer'),
+    addBackboneBtn: document.getElementById('add-backbone-btn'),
+    cancelBackboneBtn: document.getElementById('cancel-backbone-btn'),
+    cacheFeatures: document.getElementById('cache-features'),
+    fineTune: document.getElementById('fine-tune'),
+    fineTuneLayers: document.getElementById('fine-tune-layers'),
+    fineTuneLayersValue: document.getElementById('fine-tune-layers-value'),
+    fineTuneEpochs: document.getElementById('fine-tune-epochs'),
+    fineTuneEpochsValue: document.getElementById('fine-tune-epochs-value'),
+    fineTuneLr: document.getElementById('fine-tune-lr'),
+    fineTuneLrValue: document.getElementById('fine-tune-lr-value'),
+    architecturePreset: document.getElementById('architecture-preset'),
+    deletePresetBtn: document.getElementById('delete-preset-btn'),
+    presetName: document.getElementById('preset-name'),
+    savePresetBtn: document.getElementById('save-preset-btn'),
+    architectureLayers: document.getElementById('architecture-layers'),
+    layerType: document.getElementById('layer-type'),
+    addLayerBtn: document.getElementById('add-layer-btn'),
+    architectureSummary: document.getElementById('architecture-summary'),
+    optimizer: document.getElementById('optimizer'),
+    momentum: document.getElementById('momentum'),
+    lrSchedule: document.getElementById('lr-schedule'),
+    lrWarmup: document.getElementById('lr-warmup'),
+    lrStepSize: document.getElementById('lr-step-size'),
+    lrFactor: document.getElementById('lr-factor'),
+    lrDecayRate: document.getElementById('lr-decay-rate'),
+    lrPatience: document.getElementById('lr-patience'),
+    lrMin: document.getElementById('lr-min'),
+    checkpointEvery: document.getElementById('checkpoint-every'),
+    earlyStopping: document.getElementById('early-stopping'),
+    earlyStoppingMonitor: document.getElementById('early-stopping-monitor'),
+    earlyStoppingPatience: document.getElementById('early-stopping-patience'),
+    earlyStoppingPatienceValue: document.getElementById('early-stopping-patience-value'),
+    earlyStoppingMinDelta: document.getElementById('early-stopping-min-delta'),
+    restoreBestWeights: document.getElementById('restore-best-weights'),
+    validationSplit: document.getElementById('validation-split'),
+    validationSplitValue: document.getElementById('validation-split-value'),
+    testSplit: document.getElementById('test-split'),
+    testSplitValue: document.getElementById('test-split-value'),
+
+    // Data augmentation
+    augHorizontalFlip: document.getElementById('aug-hflip'),
+    augVerticalFlip: document.getElementById('aug-vflip'),
+    augCrop: document.getElementById('aug-crop'),
+    augCropStrength: document.getElementById('aug-crop-strength'),
+    augCropValue: document.getElementById('aug-crop-value'),
+    augRotation: document.getElementById('aug-rotation'),
+    augRotationStrength: document.getElementById('aug-rotation-strength'),
+    augRotationValue: document.getElementById('aug-rotation-value'),
+    augBrightness: document.getElementById('aug-brightness'),
+    augBrightnessStrength: document.getElementById('aug-brightness-strength'),
+    augBrightnessValue: document.getElementById('aug-brightness-value'),
+    augContrast: document.getElementById('aug-contrast'),
+    augContrastStrength: document.getElementById('aug-contrast-strength'),
+    augContrastValue: document.getElementById('aug-contrast-value'),
+    augPreviewClass: document.getElementById('aug-preview-class'),
+    augPreviewBtn: document.getElementById('aug-preview-btn'),
+    augPreviewGrid: document.getElementById('aug-preview-grid'),
 
     // Training control
     startTrainingBtn: document.getElementById('start-training-btn'),
+    resumeTrainingBtn: document.getElementById('resume-training-btn'),
     pauseTrainingBtn: document.getElementById('pause-training-btn'),
     stopTrainingBtn: document.getElementById('stop-training-btn'),
+    useWorker: document.getElementById('use-worker'),
+    workerStatus: document.getElementById('worker-status'),
     trainingStatus: document.getElementById('training-status'),
     currentEpoch: document.getElementById('current-epoch'),
     batchProgress: document.getElementById('batch-progress'),
     elapsedTime: document.getElementById('elapsed-time'),
     remainingTime: document.getElementById('remaining-time'),
+    memoryUsage: document.getElementById('memory-usage'),
     trainingProgress: document.getElementById('training-progress'),
 
     // Charts
@@ -70,20 +227,95 @@ const elements = {
     testDropZone: document.getElementById('test-drop-zone'),
     testFileInput: document.getElementById('test-file-input'),
     predictionResults: document.getElementById('prediction-results'),
+    resultPreviewTitle: document.getElementById('result-preview-title'),
     testImagePreview: document.getElementById('test-image-preview'),
     predictedClass: document.getElementById('predicted-class'),
     probabilityChart: document.getElementById('probability-chart'),
+    testFolderBtn: document.getElementById('test-folder-btn'),
+    testFolderInput: document.getElementById('test-folder-input'),
+    batchProgressText: document.getElementById('batch-progress-text'),
+
+    // Webcam
+    webcamToggleBtn: document.getElementById('webcam-toggle-btn'),
+    webcamRate: document.getElementById('webcam-rate'),
+    webcamVideo: document.getElementById('webcam-video'),
+    webcamStats: document.getElementById('webcam-stats'),
+    webcamFps: document.getElementById('webcam-fps'),
+    webcamLatency: document.getElementById('webcam-latency'),
+
+    // Batch results
+    batchResults: document.getElementById('batch-results'),
+    batchSummary: document.getElementById('batch-summary'),
+    batchResultsTable: document.getElementById('batch-results-table'),
+    exportResultsCsvBtn: document.getElementById('export-results-csv-btn'),
+    exportResultsJsonBtn: document.getElementById('export-results-json-btn'),
+
+    // Evaluation report
+    evaluationReport: document.getElementById('evaluation-report'),
+    evaluationSplit: document.getElementById('evaluation-split'),
+    evaluationSummary: document.getElementById('evaluation-summary'),
+    confusionMatrix: document.getElementById('confusion-matrix'),
+    classMetricsTable: document.getElementById('class-metrics-table'),
+    cellImages: document.getElementById('cell-images'),
+    cellImagesTitle: document.getElementById('cell-images-title'),
+    cellImagesGrid: document.getElementById('cell-images-grid'),
 
     // Stats
     totalImages: document.getElementById('total-images'),
     numClasses: document.getElementById('num-classes'),
+    splitCounts: document.getElementById('split-counts'),
     finalAccuracy: document.getElementById('final-accuracy'),
+    testAccuracy: document.getElementById('test-accuracy'),
     modelStatus: document.getElementById('model-status'),
 
     // Model actions
     saveModelBtn: document.getElementById('save-model-btn'),
     loadModelBtn: document.getElementById('load-model-btn'),
-    clearDataBtn: document.getElementById('clear-data-btn')
+    exportModelBtn: document.getElementById('export-model-btn'),
+    evaluateModelBtn: document.getElementById('evaluate-model-btn'),
+    clearDataBtn: document.getElementById('clear-data-btn'),
+
+    // Training runs
+    runsMetric: document.getElementById('runs-metric'),
+    clearRunsBtn: document.getElementById('clear-runs-btn'),
+    runsEmpty: document.getElementById('runs-empty'),
+    runsTable: document.getElementById('runs-table'),
+    runsChartWrapper: document.getElementById('runs-chart-wrapper'),
+
+    // Hyperparameter search
+    searchStrategy: document.getElementById('search-strategy'),
+    searchBudget: document.getElementById('search-budget'),
+    searchEpochs: document.getElementById('search-epochs'),
+    searchMetric: document.getElementById('search-metric'),
+    searchLearningRates: document.getElementById('search-learning-rates'),
+    searchCnn: document.getElementById('search-cnn'),
+    searchMobilenet: document.getElementById('search-mobilenet'),
+    startSearchBtn: document.getElementById('start-search-btn'),
+    adoptBestBtn: document.getElementById('adopt-best-btn'),
+    searchStatus: document.getElementById('search-status'),
+    searchResultsTable: document.getElementById('search-results-table'),
+
+    // Backend diagnostics
+    backendSelect: document.getElementById('backend-select'),
+    backendStatus: document.getElementById('backend-status'),
+    memoryBudget: document.getElementById('memory-budget'),
+    memoryAction: document.getElementById('memory-action'),
+    benchmarkBtn: document.getElementById('benchmark-btn'),
+    benchmarkStatus: document.getElementById('benchmark-status'),
+    benchmarkTable: document.getElementById('benchmark-table'),
+
+    // Model registry dialog
+    modelPicker: document.getElementById('model-picker'),
+    modelPickerTitle: document.getElementById('model-picker-title'),
+    modelPickerClose: document.getElementById('model-picker-close'),
+    modelSaveForm: document.getElementById('model-save-form'),
+    modelName: document.getElementById('model-name'),
+    confirmSaveModelBtn: document.getElementById('confirm-save-model-btn'),
+    modelList: document.getElementById('model-list'),
+
+    // Model import
+    modelImportZone: document.getElementById('model-import-zone'),
+    modelImportInput: document.getElementById('model-import-input')
 };
 
 // ==================== Initialization ====================
@@ -92,21 +324,34 @@ async function init() {
         // Initialize storage
         await storage.init();
 
+        // Pick the TensorFlow.js backend before any model is loaded
+        await loadBackendSetting();
+        await loadMemoryGuardSettings();
+
         // Initialize charts
         initCharts();
 
+        // Set up the CNN architecture editor
+        initArchitectureEditor();
+        await loadArchitecturePresets();
+
         // Load existing data
         await loadExistingData();
+        await loadBackbones();
+        await loadRuns();
+        await loadWorkerSetting();
 
         // Set up event listeners
         setupEventListeners();
 
-        // Check for saved model
+        // Check for saved model and an interrupted training run
         await checkSavedModel();
+        await refreshCheckpoint();
 
         // Update UI
         updateStats();
         updateTrainingButtonState();
+        updateMemoryUsage();
 
         showToast('Application initialized successfully!', 'success');
     } catch (error) {
@@ -116,21 +361,27 @@ async function init() {
 }
 
 function initCharts() {
-    state.lossChart = createChart(
-        'loss-chart',
-        'line',
-        'Loss',
-        'rgb(220, 53, 69)',
-        'rgba(220, 53, 69, 0.1)'
-    );
+    state.lossChart = createChart('loss-chart', 'line', 'Loss', [
+        { label: 'Training', borderColor: 'rgb(220, 53, 69)', backgroundColor: 'rgba(220, 53, 69, 0.1)' },
+        { label: 'Validation', borderColor: 'rgb(253, 126, 20)', backgroundColor: 'rgba(253, 126, 20, 0.1)', dashed: true }
+    ]);
 
-    state.accuracyChart = createChart(
-        'accuracy-chart',
-        'line',
-        'Accuracy',
-        'rgb(40, 167, 69)',
-        'rgba(40, 167, 69, 0.1)'
-    );
+    state.accuracyChart = createChart('accuracy-chart', 'line', 'Accuracy', [
+        { label: 'Training', borderColor: 'rgb(40, 167, 69)', backgroundColor: 'rgba(40, 167, 69, 0.1)' },
+        { label: 'Validation', borderColor: 'rgb(23, 162, 184)', backgroundColor: 'rgba(23, 162, 184, 0.1)', dashed: true }
+    ]);
+
+    // Per-batch points are labelled with fractional epochs, e.g. 2.50 halfway through epoch 3
+    state.batchLossChart = createChart('batch-loss-chart', 'line', 'Loss', [
+        { label: 'Batch Loss', borderColor: 'rgb(220, 53, 69)', backgroundColor: 'rgba(220, 53, 69, 0.1)', pointRadius: 0 }
+    ]);
+
+    state.lrChart = createChart('lr-chart', 'line', 'Learning Rate', [
+        { label: 'Learning Rate', borderColor: 'rgb(102, 126, 234)', backgroundColor: 'rgba(102, 126, 234, 0.1)' }
+    ]);
+
+    // Series are filled in from the runs selected for comparison
+    state.runsChart = createChart('runs-chart', 'line', 'Validation Accuracy', []);
 
     state.probabilityChart = createProbabilityChart('probability-chart');
 }
@@ -148,12 +399,11 @@ async function loadExistingData() {
 }
 
 async function checkSavedModel() {
-    const hasSavedModel = await modelManager.hasSavedModel();
-    const modelInfo = await storage.getModelInfo();
+    const modelInfo = await storage.getActiveModelInfo();
+    const hasSavedModel = modelInfo && await modelManager.hasSavedModel(modelInfo.id);
 
-    if (hasSavedModel && modelInfo) {
-        elements.modelStatus.textContent = 'Saved Model Available';
-        elements.loadModelBtn.disabled = false;
+    if (hasSavedModel && !modelManager.model) {
+        elements.modelStatus.textContent = `Saved Model Available (${modelInfo.name})`;
     }
 }
 
@@ -168,8 +418,60 @@ function setupEventListeners() {
     // File drop zone
     setupDropZone(elements.dropZone, elements.fileInput, handleTrainingImages);
 
+    // Dataset import/export
+    elements.exportDatasetBtn.addEventListener('click', handleExportDataset);
+    elements.importDatasetFolderBtn.addEventListener('click', () => elements.datasetFolderInput.click());
+    elements.datasetFolderInput.addEventListener('change', async (e) => {
+        const files = Array.from(e.target.files).filter(isImageFile);
+        if (files.length > 0) {
+            await handleImportDataset(files);
+        }
+        elements.datasetFolderInput.value = '';
+    });
+    setupDropZone(elements.datasetImportZone, elements.datasetImportInput, handleImportDataset, isDatasetFile);
+
+    // Webcam capture: record while the button is held down
+    elements.captureToggleBtn.addEventListener('click', handleToggleCapture);
+    elements.captureRecordBtn.addEventListener('pointerdown', (e) => {
+        elements.captureRecordBtn.setPointerCapture(e.pointerId);
+        startRecording();
+    });
+    ['pointerup', 'pointercancel'].forEach(type => {
+        elements.captureRecordBtn.addEventListener(type, stopRecording);
+    });
+    elements.captureRecordBtn.addEventListener('keydown', (e) => {
+        if ((e.key === ' ' || e.key === 'Enter') && !e.repeat) {
+            e.preventDefault();
+            startRecording();
+        }
+    });
+    elements.captureRecordBtn.addEventListener('keyup', (e) => {
+        if (e.key === ' ' || e.key === 'Enter') stopRecording();
+    });
+
     // Test image drop zone
-    setupDropZone(elements.testDropZone, elements.testFileInput, handleTestImage);
+    setupDropZone(elements.testDropZone, elements.testFileInput, handleTestImages);
+    elements.testFolderBtn.addEventListener('click', () => elements.testFolderInput.click());
+    elements.testFolderInput.addEventListener('change', async (e) => {
+        const files = Array.from(e.target.files).filter(isImageFile);
+        if (files.length > 0) {
+            await handleTestImages(files);
+        }
+        elements.testFolderInput.value = '';
+    });
+
+    // Live webcam classification
+    elements.webcamToggleBtn.addEventListener('click', handleToggleWebcam);
+    elements.webcamRate.addEventListener('change', () => {
+        state.liveClassifier?.setRate(parseInt(elements.webcamRate.value));
+    });
+
+    // Batch results export
+    elements.exportResultsCsvBtn.addEventListener('click', () => exportBatchResults('csv'));
+    elements.exportResultsJsonBtn.addEventListener('click', () => exportBatchResults('json'));
+
+    // Model bundle import drop zone
+    setupDropZone(elements.modelImportZone, elements.modelImportInput, handleImportModel, isModelBundleFile);
 
     // Parameter sliders
     elements.learningRate.addEventListener('input', () => {
@@ -178,24 +480,117 @@ function setupEventListeners() {
     elements.epochs.addEventListener('input', () => {
         elements.epochsValue.textContent = elements.epochs.value;
     });
+    elements.validationSplit.addEventListener('input', () => {
+        elements.validationSplitValue.textContent = elements.validationSplit.value;
+    });
+    elements.testSplit.addEventListener('input', () => {
+        elements.testSplitValue.textContent = elements.testSplit.value;
+    });
+    elements.earlyStoppingPatience.addEventListener('input', () => {
+        elements.earlyStoppingPatienceValue.textContent = elements.earlyStoppingPatience.value;
+    });
+    elements.fineTuneLayers.addEventListener('input', () => {
+        elements.fineTuneLayersValue.textContent = elements.fineTuneLayers.value;
+    });
+    elements.fineTuneEpochs.addEventListener('input', () => {
+        elements.fineTuneEpochsValue.textContent = elements.fineTuneEpochs.value;
+    });
+    elements.fineTuneLr.addEventListener('input', () => {
+        elements.fineTuneLrValue.textContent = elements.fineTuneLr.value;
+    });
+
+    // Augmentation strength sliders
+    elements.augCropStrength.addEventListener('input', () => {
+        elements.augCropValue.textContent = elements.augCropStrength.value;
+    });
+    elements.augRotationStrength.addEventListener('input', () => {
+        elements.augRotationValue.textContent = elements.augRotationStrength.value;
+    });
+    elements.augBrightnessStrength.addEventListener('input', () => {
+        elements.augBrightnessValue.textContent = parseFloat(elements.augBrightnessStrength.value).toFixed(2);
+    });
+    elements.augContrastStrength.addEventListener('input', () => {
+        elements.augContrastValue.textContent = parseFloat(elements.augContrastStrength.value).toFixed(2);
+    });
+    elements.augPreviewBtn.addEventListener('click', handleAugmentationPreview);
+
+    // CNN architecture editor
+    elements.addLayerBtn.addEventListener('click', () => {
+        state.cnnLayers.push(createLayerSpec(elements.layerType.value));
+        renderArchitectureEditor();
+    });
+    elements.architecturePreset.addEventListener('change', handleSelectPreset);
+    elements.savePresetBtn.addEventListener('click', handleSavePreset);
+    elements.deletePresetBtn.addEventListener('click', handleDeletePreset);
+
+    // Backbone catalogue
+    elements.modelArchitecture.addEventListener('change', handleArchitectureChange);
+    elements.inputSize.addEventListener('change', updateArchitectureSummary);
+    elements.grayscale.addEventListener('change', updateArchitectureSummary);
+    elements.optimizer.addEventListener('change', updateOptimizerOptions);
+    document.querySelectorAll('.chart-export-btn').forEach(button => {
+        button.addEventListener('click', () => handleExportChart(button.dataset.chart, button.dataset.format));
+    });
+    elements.lrSchedule.addEventListener('change', updateOptimizerOptions);
+    updateOptimizerOptions();
+    elements.backboneSelect.addEventListener('change', updateBackboneStatus);
+    elements.importBackboneBtn.addEventListener('click', () => elements.backboneInput.click());
+    elements.backboneInput.addEventListener('change', async (e) => {
+        const files = Array.from(e.target.files);
+        if (files.length > 0) {
+            await handleImportBackbone(files);
+        }
+        elements.backboneInput.value = '';
+    });
+    elements.addBackboneBtn.addEventListener('click', handleAddBackbone);
+    elements.cancelBackboneBtn.addEventListener('click', closeBackboneForm);
 
     // Training controls
     elements.startTrainingBtn.addEventListener('click', handleStartTraining);
+    elements.resumeTrainingBtn.addEventListener('click', handleResumeTraining);
     elements.pauseTrainingBtn.addEventListener('click', handlePauseTraining);
     elements.stopTrainingBtn.addEventListener('click', handleStopTraining);
+    elements.useWorker.addEventListener('change', handleWorkerToggle);
 
     // Model actions
     elements.saveModelBtn.addEventListener('click', handleSaveModel);
     elements.loadModelBtn.addEventListener('click', handleLoadModel);
+    elements.exportModelBtn.addEventListener('click', handleExportModel);
+    elements.evaluateModelBtn.addEventListener('click', handleEvaluateModel);
     elements.clearDataBtn.addEventListener('click', handleClearData);
 
+    // Training runs
+    elements.runsMetric.addEventListener('change', updateRunsChart);
+    elements.clearRunsBtn.addEventListener('click', handleClearRuns);
+
+    // Hyperparameter search
+    elements.startSearchBtn.addEventListener('click', handleStartSearch);
+
+    // Backend diagnostics
+    elements.backendSelect.addEventListener('change', handleBackendChange);
+    elements.memoryBudget.addEventListener('change', handleMemoryGuardChange);
+    elements.memoryAction.addEventListener('change', handleMemoryGuardChange);
+    elements.benchmarkBtn.addEventListener('click', handleRunBenchmark);
+    elements.adoptBestBtn.addEventListener('click', () => handleAdoptTrial(state.searchRanking[0]));
+
+    // Model registry dialog
+    elements.modelPickerClose.addEventListener('click', closeModelPicker);
+    elements.modelPicker.addEventListener('click', (e) => {
+        if (e.target === elements.modelPicker) closeModelPicker();
+    });
+    elements.confirmSaveModelBtn.addEventListener('click', handleConfirmSaveModel);
+    elements.modelName.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') handleConfirmSaveModel();
+    });
+
     // Target class selector
     elements.targetClass.addEventListener('change', (e) => {
         state.selectedClassId = parseInt(e.target.value);
+        updateCaptureTarget();
     });
 }
 
-function setupDropZone(dropZone, fileInput, handler) {
+function setupDropZone(dropZone, fileInput, handler, filter = isImageFile) {
     dropZone.addEventListener('click', () => fileInput.click());
 
     dropZone.addEventListener('dragover', (e) => {
@@ -210,14 +605,14 @@ function setupDropZone(dropZone, fileInput, handler) {
     dropZone.addEventListener('drop', async (e) => {
         e.preventDefault();
         dropZone.classList.remove('drag-over');
-        const files = Array.from(e.dataTransfer.files).filter(isImageFile);
+        const files = (await getDroppedFiles(e.dataTransfer)).filter(filter);
         if (files.length > 0) {
             await handler(files);
         }
     });
 
     fileInput.addEventListener('change', async (e) => {
-        const files = Array.from(e.target.files).filter(isImageFile);
+        const files = Array.from(e.target.files).filter(filter);
         if (files.length > 0) {
             await handler(files);
         }
@@ -380,16 +775,26 @@ function selectClass(classId) {
     state.selectedClassId = classId;
     elements.targetClass.value = classId;
     elements.classSelector.classList.remove('hidden');
+    updateCaptureTarget();
 }
 
 function updateClassSelector() {
+    const previewClassId = elements.augPreviewClass.value;
     elements.targetClass.innerHTML = '';
+    elements.augPreviewClass.innerHTML = '';
     state.classes.forEach(cls => {
         const option = document.createElement('option');
         option.value = cls.id;
         option.textContent = cls.name;
         elements.targetClass.appendChild(option);
+        elements.augPreviewClass.appendChild(option.cloneNode(true));
     });
+    if (state.classes.some(c => String(c.id) === previewClassId)) {
+        elements.augPreviewClass.value = previewClassId;
+    }
+
+    // The output layer size depends on the number of classes
+    updateArchitectureSummary();
 
     if (state.classes.length > 0) {
         if (!state.selectedClassId || !state.classes.find(c => c.id === state.selectedClassId)) {
@@ -421,7 +826,7 @@ async function handleTrainingImages(files) {
     for (const file of files) {
         try {
             const dataUrl = await readFileAsDataURL(file);
-            const id = await storage.addImage(classId, dataUrl);
+            const id = await storage.addImage(classId, dataUrl, file.name);
             renderImagePreview(imagesContainer, { id, data: dataUrl }, classId);
             addedCount++;
         } catch (error) {
@@ -483,130 +888,522 @@ function updateImageCount(classId, count) {
             countSpan.textContent = count;
         }
     }
+    if (classId === state.selectedClassId) {
+        elements.captureClassCount.textContent = count;
+    }
+}
+
+// ==================== Webcam Capture ====================
+async function handleToggleCapture() {
+    if (state.captureSource) {
+        closeCapture();
+        return;
+    }
+
+    try {
+        state.captureSource = getFrameSource(elements.captureVideo);
+        await state.captureSource.start();
+    } catch (error) {
+        console.error('Error opening camera:', error);
+        state.captureSource?.stop();
+        state.captureSource = null;
+        showToast('Failed to open camera: ' + error.message, 'error');
+        return;
+    }
+
+    elements.capturePanel.classList.remove('hidden');
+    elements.captureToggleBtn.textContent = '✖️ Close Camera';
+    updateCaptureTarget();
+}
+
+function closeCapture() {
+    stopRecording();
+    if (state.captureSource) {
+        state.captureSource.stop();
+        state.captureSource = null;
+    }
+    elements.capturePanel.classList.add('hidden');
+    elements.captureToggleBtn.textContent = '📷 Capture from Camera';
+}
+
+function updateCaptureTarget() {
+    const cls = state.classes.find(c => c.id === state.selectedClassId);
+    elements.captureClassName.textContent = cls ? cls.name : '--';
+
+    const card = cls && document.querySelector(`.class-card[data-class-id="${cls.id}"] .image-count`);
+    elements.captureClassCount.textContent = card ? card.textContent : '0';
+}
+
+function startRecording() {
+    if (!state.captureSource || state.frameRecorder || state.captureCountdown) return;
+
+    const cls = state.classes.find(c => c.id === state.selectedClassId);
+    if (!cls) {
+        showToast('Please add and select a class first', 'warning');
+        return;
+    }
+
+    const begin = () => {
+        state.captureCountdown = null;
+        elements.captureCountdown.classList.add('hidden');
+        elements.captureVideo.parentElement.classList.add('recording');
+        elements.captureRecordBtn.textContent = '⏺️ Recording...';
+
+        const imagesContainer = document.querySelector(`.class-images[data-class-id="${cls.id}"]`);
+
+        state.frameRecorder = new FrameRecorder(state.captureSource, {
+            fps: parseInt(elements.captureFps.value),
+            onFrame: async (dataUrl) => {
+                const id = await storage.addImage(cls.id, dataUrl, `webcam-${Date.now()}.jpg`);
+                renderImagePreview(imagesContainer, { id, data: dataUrl }, cls.id);
+                const countSpan = imagesContainer.closest('.class-card').querySelector('.image-count');
+                updateImageCount(cls.id, parseInt(countSpan.textContent) + 1);
+            },
+            onError: (error) => {
+                console.error('Error capturing frame:', error);
+                showToast('Failed to capture frame', 'error');
+                stopRecording();
+            }
+        });
+        state.frameRecorder.start();
+    };
+
+    // Count down before recording; releasing the button cancels
+    let remaining = parseInt(elements.captureDelay.value);
+    if (remaining === 0) {
+        begin();
+        return;
+    }
+
+    elements.captureCountdown.textContent = remaining;
+    elements.captureCountdown.classList.remove('hidden');
+    state.captureCountdown = setInterval(() => {
+        remaining--;
+        if (remaining > 0) {
+            elements.captureCountdown.textContent = remaining;
+        } else {
+            clearInterval(state.captureCountdown);
+            begin();
+        }
+    }, 1000);
+}
+
+function stopRecording() {
+    if (state.captureCountdown) {
+        clearInterval(state.captureCountdown);
+        state.captureCountdown = null;
+        elements.captureCountdown.classList.add('hidden');
+    }
+
+    if (state.frameRecorder) {
+        state.frameRecorder.stop();
+        const captured = state.frameRecorder.frameCount;
+        state.frameRecorder = null;
+
+        updateStats();
+        updateTrainingButtonState();
+        showToast(`Captured ${captured} image(s)`, 'success');
+    }
+
+    elements.captureVideo.parentElement.classList.remove('recording');
+    elements.captureRecordBtn.textContent = '⏺️ Hold to Record';
+}
+
+// ==================== Dataset Import/Export ====================
+async function handleExportDataset() {
+    if (state.classes.length === 0) {
+        showToast('There is no training data to export', 'warning');
+        return;
+    }
+
+    try {
+        showToast('Exporting dataset...', 'info');
+        const blob = await datasetManager.exportDataset();
+        downloadBlob(blob, `dataset-${new Date().toISOString().slice(0, 10)}.zip`);
+        showToast('Dataset exported', 'success');
+    } catch (error) {
+        console.error('Error exporting dataset:', error);
+        showToast('Failed to export dataset: ' + error.message, 'error');
+    }
+}
+
+async function handleImportDataset(files) {
+    try {
+        showToast('Importing dataset...', 'info');
+        const { classesCreated, imagesAdded } = await datasetManager.importDataset(files);
+        await reloadDataset();
+        showToast(`Imported ${imagesAdded} image(s) into ${classesCreated} new class(es)`, 'success');
+    } catch (error) {
+        console.error('Error importing dataset:', error);
+        showToast('Failed to import dataset: ' + error.message, 'error');
+    }
+}
+
+async function reloadDataset() {
+    elements.classesContainer.innerHTML = '';
+    await loadExistingData();
+
+    if (state.selectedClassId) {
+        selectClass(state.selectedClassId);
+    }
+
+    updateStats();
+    updateTrainingButtonState();
 }
 
 // ==================== Training ====================
 async function handleStartTraining() {
     if (state.isTraining) return;
 
+    // A run refused before training starts keeps the current model and its labels
+    const previousModel = modelManager.model;
+    const previousLabels = modelManager.classLabels;
+
     try {
         // Prepare training data
-        const summary = await storage.getDataSummary();
+        const summary = await getTrainableDataSummary();
+        if (!summary) return;
 
-        if (summary.numClasses < 2) {
-            showToast('You need at least 2 classes to train', 'warning');
+        if (elements.modelArchitecture.value === 'simple-cnn' && !checkCnnArchitecture(summary.numClasses)) {
             return;
         }
 
-        if (summary.totalImages < 4) {
-            showToast('You need at least 4 images to train', 'warning');
-            return;
+        const params = getTrainingParams();
+        if (params.backbone && params.cacheFeatures && isAugmentationEnabled(params.augmentation)) {
+            showToast('Feature caching is skipped while data augmentation is enabled', 'info');
         }
 
-        // Get parameters
-        const params = {
-            learningRate: parseFloat(elements.learningRate.value),
-            batchSize: parseInt(elements.batchSize.value),
-            epochs: parseInt(elements.epochs.value),
-            architecture: elements.modelArchitecture.value
-        };
+        // Index samples; image data is streamed from storage during training
+        const trainingData = await prepareTraining();
 
-        // Prepare data
-        const classesWithImages = {};
-        for (const cls of state.classes) {
-            const images = await storage.getImagesByClass(cls.id);
-            if (images.length > 0) {
-                classesWithImages[cls.id] = {
-                    name: cls.name,
-                    images
-                };
-            }
+        // Reset charts
+        resetTrainingCharts();
+
+        beginTraining(0);
+        await trainer.train(trainingData, params, createTrainingCallbacks());
+    } catch (error) {
+        console.error('Error starting training:', error);
+        if (modelManager.model === previousModel) {
+            modelManager.classLabels = previousLabels;
         }
+        state.isTraining = false;
+        showToast('Failed to start training: ' + error.message, 'error');
+        updateTrainingUI('idle');
+    }
+}
 
-        showToast('Preparing training data...', 'info');
-        const trainingData = await modelManager.prepareTrainingData(classesWithImages);
+async function getTrainableDataSummary() {
+    const summary = await storage.getDataSummary();
 
-        // Reset charts
-        resetChart(state.lossChart);
-        resetChart(state.accuracyChart);
+    if (summary.numClasses < 2) {
+        showToast('You need at least 2 classes to train', 'warning');
+        return null;
+    }
 
-        // Update UI
-        state.isTraining = true;
-        state.isPaused = false;
-        state.trainingStartTime = Date.now();
-        updateTrainingUI('training');
-
-        // Start timer
-        startTimer();
-
-        // Start training
-        await modelManager.train(trainingData, params, {
-            onEpochEnd: (epoch, totalEpochs, logs) => {
-                updateChart(state.lossChart, epoch + 1, logs.loss);
-                updateChart(state.accuracyChart, epoch + 1, logs.acc);
-
-                elements.currentEpoch.textContent = `${epoch + 1} / ${totalEpochs}`;
-                elements.trainingProgress.style.width = `${((epoch + 1) / totalEpochs) * 100}%`;
-
-                // Estimate remaining time
-                const elapsed = (Date.now() - state.trainingStartTime) / 1000;
-                const perEpoch = elapsed / (epoch + 1);
-                const remaining = perEpoch * (totalEpochs - epoch - 1);
-                elements.remainingTime.textContent = formatTime(remaining);
-            },
-            onBatchEnd: (batch, totalBatches, logs) => {
-                elements.batchProgress.textContent = `${batch + 1} / ${totalBatches}`;
-            },
-            onTrainingEnd: (completed) => {
-                state.isTraining = false;
-                stopTimer();
-                trainingData.xs.dispose();
-                trainingData.ys.dispose();
-
-                if (completed) {
-                    elements.modelStatus.textContent = 'Trained';
-                    elements.saveModelBtn.disabled = false;
-                    showToast('Training completed successfully!', 'success');
-
-                    // Update final accuracy
-                    const lastAcc = state.accuracyChart.data.datasets[0].data;
-                    if (lastAcc.length > 0) {
-                        elements.finalAccuracy.textContent = formatPercent(lastAcc[lastAcc.length - 1]);
-                    }
-                } else {
-                    showToast('Training stopped', 'warning');
-                }
+    if (summary.totalImages < 4) {
+        showToast('You need at least 4 images to train', 'warning');
+        return null;
+    }
 
-                updateTrainingUI('idle');
-            },
-            onTrainingError: (error) => {
-                console.error('Training error:', error);
-                state.isTraining = false;
-                stopTimer();
-                trainingData.xs.dispose();
-                trainingData.ys.dispose();
-                showToast('Training failed: ' + error.message, 'error');
-                updateTrainingUI('idle');
-            }
-        });
+    return summary;
+}
+
+function checkCnnArchitecture(numClasses) {
+    const { error } = describeArchitecture(state.cnnLayers, getInputShape(), numClasses);
+    if (error) {
+        showToast('Invalid CNN architecture: ' + error, 'warning');
+        return false;
+    }
+    return true;
+}
+
+async function handleResumeTraining() {
+    if (state.isTraining) return;
+
+    try {
+        const checkpoint = await modelManager.getCheckpoint();
+
+        if (checkpoint) {
+            // Continue the interrupted run with its own parameters
+            const trainingData = await prepareTraining(checkpoint.classLabels);
+            restoreCharts(checkpoint.history, checkpoint.phases);
+
+            beginTraining(checkpoint.epoch + 1);
+            await trainer.resumeFromCheckpoint(trainingData, createTrainingCallbacks());
+        } else if (modelManager.model) {
+            // Train the current model further, e.g. on newly added images
+            const trainingData = await prepareTraining(modelManager.classLabels);
+            // Keep feeding the model images prepared the way it was trained on
+            const { imageSize, channels, resize, normalization } = modelManager.getInputConfig();
+            const params = {
+                ...getTrainingParams(),
+                architecture: modelManager.trainingParams?.architecture ?? null,
+                backbone: modelManager.trainingParams?.backbone ?? null,
+                layers: modelManager.trainingParams?.layers ?? null,
+                imageSize,
+                channels,
+                preprocessing: { resize, normalization }
+            };
+
+            resetTrainingCharts();
+
+            beginTraining(0);
+            await trainer.continueTraining(trainingData, params, createTrainingCallbacks());
+        }
     } catch (error) {
-        console.error('Error starting training:', error);
+        console.error('Error resuming training:', error);
         state.isTraining = false;
-        showToast('Failed to start training: ' + error.message, 'error');
+        showToast('Failed to resume training: ' + error.message, 'error');
         updateTrainingUI('idle');
     }
 }
 
+function getTrainingParams() {
+    return {
+        learningRate: parseFloat(elements.learningRate.value),
+        batchSize: parseInt(elements.batchSize.value),
+        epochs: parseInt(elements.epochs.value),
+        architecture: elements.modelArchitecture.value,
+        ...getInputConfig(),
+        preprocessing: {
+            resize: elements.resizeMode.value,
+            normalization: elements.normalization.value
+        },
+        backbone: elements.modelArchitecture.value === 'mobilenet' ? elements.backboneSelect.value : null,
+        layers: elements.modelArchitecture.value === 'simple-cnn' ? structuredClone(state.cnnLayers) : null,
+        augmentation: getAugmentationOptions(),
+        cacheFeatures: elements.cacheFeatures.checked,
+        fineTune: {
+            enabled: elements.fineTune.checked,
+            layers: parseInt(elements.fineTuneLayers.value),
+            epochs: parseInt(elements.fineTuneEpochs.value),
+            learningRate: parseFloat(elements.fineTuneLr.value)
+        },
+        optimizer: elements.optimizer.value,
+        momentum: parseFloat(elements.momentum.value) || 0,
+        lrSchedule: {
+            type: elements.lrSchedule.value,
+            warmupEpochs: parseInt(elements.lrWarmup.value) || 0,
+            stepSize: parseInt(elements.lrStepSize.value) || 1,
+            factor: parseFloat(elements.lrFactor.value) || 0.5,
+            decayRate: parseFloat(elements.lrDecayRate.value) || 0.95,
+            patience: parseInt(elements.lrPatience.value) || 1,
+            minLearningRate: parseFloat(elements.lrMin.value) || 0
+        },
+        checkpointEvery: parseInt(elements.checkpointEvery.value),
+        earlyStopping: {
+            enabled: elements.earlyStopping.checked,
+            monitor: elements.earlyStoppingMonitor.value,
+            patience: parseInt(elements.earlyStoppingPatience.value),
+            minDelta: parseFloat(elements.earlyStoppingMinDelta.value) || 0,
+            restoreBestWeights: elements.restoreBestWeights.checked
+        }
+    };
+}
+
+// Input options only apply to the custom CNN; backbones always take 224×224 RGB images
+function getInputConfig() {
+    if (elements.modelArchitecture.value === 'mobilenet') {
+        return { imageSize: IMAGE_SIZE, channels: 3 };
+    }
+    return {
+        imageSize: parseInt(elements.inputSize.value),
+        channels: elements.grayscale.checked ? 1 : 3
+    };
+}
+
+function getInputShape() {
+    const { imageSize, channels } = getInputConfig();
+    return [imageSize, imageSize, channels];
+}
+
+function describeInput({ imageSize = IMAGE_SIZE, channels = 3 }) {
+    return `${imageSize}px${channels === 1 ? ' grayscale' : ''}`;
+}
+
+function updateOptimizerOptions() {
+    const optimizer = elements.optimizer.value;
+    const schedule = elements.lrSchedule.value;
+    document.querySelectorAll('.optimizer-option').forEach(option => {
+        option.classList.toggle('hidden', !option.dataset.optimizers.split(' ').includes(optimizer));
+    });
+    document.querySelectorAll('.schedule-option').forEach(option => {
+        option.classList.toggle('hidden', !option.dataset.schedules.split(' ').includes(schedule));
+    });
+    document.querySelector('.schedule-options').classList.toggle('hidden', schedule === 'constant');
+}
+
+async function prepareTraining(classLabels = null) {
+    // Live predictions would race with the model being replaced
+    stopWebcam();
+
+    // Assign held-out images before reading them back
+    await datasetManager.assignSplits(
+        parseInt(elements.validationSplit.value) / 100,
+        parseInt(elements.testSplit.value) / 100
+    );
+    updateStats();
+
+    return modelManager.prepareTrainingData(state.classes, classLabels);
+}
+
+function beginTraining(startEpoch) {
+    state.isTraining = true;
+    state.isPaused = false;
+    state.trainingStartTime = Date.now();
+    state.trainingStartEpoch = startEpoch;
+    updateTrainingUI('training');
+
+    // Start timer
+    startTimer();
+}
+
+function getTrainingCharts() {
+    return {
+        loss: state.lossChart,
+        accuracy: state.accuracyChart,
+        'batch-loss': state.batchLossChart,
+        lr: state.lrChart
+    };
+}
+
+function resetTrainingCharts() {
+    Object.values(getTrainingCharts()).forEach(chart => resetChart(chart));
+}
+
+function updateTrainingCharts(epoch, logs) {
+    updateChart(state.lossChart, epoch + 1, logs.loss, logs.val_loss);
+    updateChart(state.accuracyChart, epoch + 1, logs.acc, logs.val_acc);
+    if (logs.lr != null) {
+        updateChart(state.lrChart, epoch + 1, logs.lr);
+    }
+}
+
+function addTrainingPhaseMarker(label) {
+    Object.values(getTrainingCharts()).forEach(chart => addChartPhaseMarker(chart, label));
+}
+
+async function handleExportChart(name, format) {
+    const chart = getTrainingCharts()[name];
+    if (chart.data.labels.length === 0) {
+        showToast('No chart data to export yet', 'warning');
+        return;
+    }
+
+    try {
+        const blob = format === 'csv'
+            ? new Blob([getChartCSV(chart)], { type: 'text/csv' })
+            : await getChartImage(chart);
+        downloadBlob(blob, `${name}-chart.${format}`);
+    } catch (error) {
+        console.error('Error exporting chart:', error);
+        showToast('Failed to export chart', 'error');
+    }
+}
+
+function restoreCharts(history, phases) {
+    resetTrainingCharts();
+
+    for (const entry of history) {
+        if (phases.some(p => p.epoch === entry.epoch)) {
+            addTrainingPhaseMarker('Fine-tuning');
+        }
+        updateTrainingCharts(entry.epoch, entry);
+    }
+}
+
+function createTrainingCallbacks() {
+    return {
+        onEpochEnd: (epoch, totalEpochs, logs) => {
+            updateTrainingCharts(epoch, logs);
+
+            elements.currentEpoch.textContent = `${epoch + 1} / ${totalEpochs}`;
+            elements.trainingProgress.style.width = `${((epoch + 1) / totalEpochs) * 100}%`;
+
+            // Estimate remaining time from the epochs run in this session
+            const elapsed = (Date.now() - state.trainingStartTime) / 1000;
+            const perEpoch = elapsed / (epoch + 1 - state.trainingStartEpoch);
+            const remaining = perEpoch * (totalEpochs - epoch - 1);
+            elements.remainingTime.textContent = formatTime(remaining);
+        },
+        onBatchEnd: (batch, totalBatches, logs, epoch) => {
+            elements.batchProgress.textContent = `${batch + 1} / ${totalBatches}`;
+            updateSampledChart(state.batchLossChart, MAX_BATCH_LOSS_POINTS, (epoch + (batch + 1) / totalBatches).toFixed(2), logs.loss);
+        },
+        onPhaseChange: (phase, info) => {
+            addTrainingPhaseMarker('Fine-tuning');
+            showToast(`Fine-tuning ${info.unfrozenLayers.length} backbone layer(s)`, 'info');
+        },
+        onFeatureProgress: (done, total) => {
+            elements.trainingStatus.textContent = done < total ? `Extracting features ${done} / ${total}` : 'Training...';
+        },
+        onMemoryWarning: (message) => {
+            showToast(message, 'warning', 5000);
+        },
+        onTrainingEnd: async (completed, results) => {
+            state.isTraining = false;
+            stopTimer();
+            updateBackboneStatus();
+
+            if (completed) {
+                elements.modelStatus.textContent = 'Trained';
+                elements.saveModelBtn.disabled = false;
+                elements.exportModelBtn.disabled = false;
+                elements.evaluateModelBtn.disabled = false;
+                showToast('Training completed successfully!', 'success');
+
+                // Update final accuracy, which is the best epoch's when its weights were restored
+                if (results.finalMetrics?.acc != null) {
+                    elements.finalAccuracy.textContent = formatPercent(results.finalMetrics.acc);
+                }
+                if (results.restoredEpoch !== null) {
+                    showToast(`Restored best weights from epoch ${results.restoredEpoch + 1}`, 'info', 5000);
+                }
+
+                const testMetrics = results.testMetrics;
+                elements.testAccuracy.textContent = testMetrics ? formatPercent(testMetrics.acc) : '--';
+                if (testMetrics) {
+                    showToast(`Test accuracy: ${formatPercent(testMetrics.acc)} on ${testMetrics.numSamples} image(s)`, 'info', 5000);
+                }
+
+                if (results.report) {
+                    showEvaluationReport(results.report);
+                }
+            } else {
+                showToast('Training stopped', 'warning');
+            }
+
+            updateTrainingUI('idle');
+            elements.trainingStatus.textContent = results.stopReason;
+            await refreshCheckpoint();
+            await loadRuns();
+        },
+        onTrainingError: async (error) => {
+            console.error('Training error:', error);
+            state.isTraining = false;
+            stopTimer();
+            showToast('Training failed: ' + error.message, 'error');
+            updateTrainingUI('idle');
+            await refreshCheckpoint();
+        }
+    };
+}
+
+async function refreshCheckpoint() {
+    state.checkpoint = await modelManager.getCheckpoint();
+    updateTrainingButtonState();
+}
+
 function handlePauseTraining() {
     if (!state.isTraining) return;
 
     if (state.isPaused) {
-        modelManager.resumeTraining();
+        trainer.resumeTraining();
         state.isPaused = false;
         elements.pauseTrainingBtn.textContent = '⏸️ Pause';
         elements.trainingStatus.textContent = 'Training...';
     } else {
-        modelManager.pauseTraining();
+        trainer.pauseTraining();
         state.isPaused = true;
         elements.pauseTrainingBtn.textContent = '▶️ Resume';
         elements.trainingStatus.textContent = 'Paused';
@@ -617,7 +1414,7 @@ function handleStopTraining() {
     if (!state.isTraining) return;
 
     if (confirm('Are you sure you want to stop training?')) {
-        modelManager.stopTraining();
+        trainer.stopTraining();
     }
 }
 
@@ -640,6 +1437,8 @@ function updateTrainingUI(status) {
             elements.trainingStatus.classList.remove('training-active');
             disableParamInputs(false);
             updateTrainingButtonState();
+            updateWorkerStatus();
+            updateMemoryUsage();
             break;
     }
 }
@@ -649,6 +1448,42 @@ function disableParamInputs(disabled) {
     elements.batchSize.disabled = disabled;
     elements.epochs.disabled = disabled;
     elements.modelArchitecture.disabled = disabled;
+    elements.inputSize.disabled = disabled;
+    elements.grayscale.disabled = disabled;
+    elements.resizeMode.disabled = disabled;
+    elements.normalization.disabled = disabled;
+    elements.backboneSelect.disabled = disabled;
+    elements.importBackboneBtn.disabled = disabled;
+    elements.cacheFeatures.disabled = disabled;
+    elements.fineTune.disabled = disabled;
+    elements.fineTuneLayers.disabled = disabled;
+    elements.fineTuneEpochs.disabled = disabled;
+    elements.fineTuneLr.disabled = disabled;
+    elements.addBackboneBtn.disabled = disabled;
+    elements.optimizer.disabled = disabled;
+    elements.momentum.disabled = disabled;
+    elements.lrSchedule.disabled = disabled;
+    elements.lrWarmup.disabled = disabled;
+    setFormEnabled('.schedule-options input', !disabled);
+    elements.checkpointEvery.disabled = disabled;
+    elements.earlyStopping.disabled = disabled;
+    elements.earlyStoppingMonitor.disabled = disabled;
+    elements.earlyStoppingPatience.disabled = disabled;
+    elements.earlyStoppingMinDelta.disabled = disabled;
+    elements.restoreBestWeights.disabled = disabled;
+    elements.validationSplit.disabled = disabled;
+    elements.testSplit.disabled = disabled;
+    elements.useWorker.disabled = disabled || !trainer.isSupported();
+    elements.backendSelect.disabled = disabled;
+    elements.benchmarkBtn.disabled = disabled;
+    elements.memoryBudget.disabled = disabled;
+    elements.memoryAction.disabled = disabled;
+    setFormEnabled('.augmentation-panel input', !disabled);
+    setFormEnabled('.architecture-editor input, .architecture-editor select, .architecture-editor button', !disabled);
+    setFormEnabled('#hyperparameter-search input, #hyperparameter-search select, #hyperparameter-search button', !disabled);
+    if (!disabled) {
+        elements.deletePresetBtn.disabled = !elements.architecturePreset.value;
+    }
 }
 
 function startTimer() {
@@ -659,6 +1494,7 @@ function startTimer() {
     state.timerInterval = setInterval(() => {
         const elapsed = (Date.now() - state.trainingStartTime) / 1000;
         elements.elapsedTime.textContent = formatTime(elapsed);
+        updateMemoryUsage();
     }, 1000);
 }
 
@@ -669,86 +1505,1513 @@ function stopTimer() {
     }
 }
 
-// ==================== Validation ====================
-async function handleTestImage(files) {
-    if (files.length === 0) return;
+async function loadWorkerSetting() {
+    elements.useWorker.checked = await trainer.loadSettings();
+    elements.useWorker.disabled = !trainer.isSupported();
+    updateWorkerStatus();
+}
 
-    if (!modelManager.model) {
-        showToast('Please train or load a model first', 'warning');
-        return;
+async function handleWorkerToggle() {
+    try {
+        await trainer.setEnabled(elements.useWorker.checked);
+    } catch (error) {
+        console.error('Error saving worker setting:', error);
+        showToast('Failed to save worker setting', 'error');
     }
+    updateWorkerStatus();
+}
 
-    try {
-        const file = files[0];
-        const dataUrl = await readFileAsDataURL(file);
+function updateWorkerStatus() {
+    elements.workerStatus.textContent = `(${trainer.describe()})`;
+}
 
-        // Display preview
-        elements.testImagePreview.src = dataUrl;
-        elements.predictionResults.classList.remove('hidden');
+// ==================== Training Runs ====================
+const RUN_COLORS = [
+    'rgb(74, 144, 217)',
+    'rgb(220, 53, 69)',
+    'rgb(40, 167, 69)',
+    'rgb(253, 126, 20)',
+    'rgb(111, 66, 193)',
+    'rgb(23, 162, 184)',
+    'rgb(232, 62, 140)',
+    'rgb(108, 117, 125)'
+];
+
+async function loadRuns() {
+    state.runs = await storage.getRuns();
+
+    // Forget selections of runs that no longer exist
+    state.selectedRunIds = new Set([...state.selectedRunIds].filter(id => state.runs.some(run => run.id === id)));
+
+    renderRuns();
+    updateRunsChart();
+}
 
-        // Create image element for prediction
-        const img = new Image();
-        img.onload = async () => {
-            const predictions = await modelManager.predict(img);
+function describeRunModel(params) {
+    if (params.architecture === 'mobilenet') {
+        const backbone = state.backbones.find(entry => entry.id === params.backbone);
+        return backbone ? backbone.name : 'MobileNet';
+    }
+    return params.architecture === 'simple-cnn'
+        ? `Custom CNN (${params.layers?.length ?? '--'} layers, ${describeInput(params)})`
+        : 'Unknown';
+}
 
-            // Update predicted class
-            const topPrediction = predictions[0];
-            elements.predictedClass.textContent =
-                `${topPrediction.className}: ${formatPercent(topPrediction.probability)}`;
+function renderRuns() {
+    const table = elements.runsTable;
+    table.innerHTML = '';
+    elements.runsEmpty.classList.toggle('hidden', state.runs.length > 0);
+    elements.clearRunsBtn.disabled = state.runs.length === 0;
+    if (state.runs.length === 0) return;
+
+    const headerRow = table.createTHead().insertRow();
+    ['Compare', 'Run', 'Started', 'Model', 'Optimizer', 'LR', 'Batch', 'Epochs', 'Images', 'Best Val Acc', 'Test Acc', 'Duration', 'Status', '']
+        .forEach(text => headerRow.appendChild(createElement('th', null, text)));
+
+    const body = table.createTBody();
+    for (const run of state.runs) {
+        const { params, dataset } = run;
+        const row = body.insertRow();
+
+        const compare = document.createElement('input');
+        compare.type = 'checkbox';
+        compare.checked = state.selectedRunIds.has(run.id);
+        compare.addEventListener('change', () => {
+            if (compare.checked) {
+                state.selectedRunIds.add(run.id);
+            } else {
+                state.selectedRunIds.delete(run.id);
+            }
+            updateRunsChart();
+        });
+        row.insertCell().appendChild(compare);
+
+        const valAccuracies = run.history.map(entry => entry.val_acc).filter(value => value != null);
+        const bestValAcc = valAccuracies.length > 0 ? Math.max(...valAccuracies) : null;
+
+        [
+            `#${run.id}`,
+            new Date(run.startedAt).toLocaleString(),
+            describeRunModel(params),
+            OPTIMIZERS[params.optimizer] ?? OPTIMIZERS.adam,
+            params.learningRate,
+            params.batchSize,
+            run.history.length,
+            `${dataset.train} / ${dataset.validation} / ${dataset.test}`,
+            bestValAcc != null ? formatPercent(bestValAcc) : '--',
+            run.testMetrics ? formatPercent(run.testMetrics.acc) : '--',
+            formatTime(run.duration / 1000),
+            run.completed ? 'Completed' : 'Stopped'
+        ].forEach(text => {
+            row.insertCell().textContent = text;
+        });
 
-            // Update probability chart
-            updateProbabilityChart(state.probabilityChart, predictions);
-        };
-        img.src = dataUrl;
-    } catch (error) {
-        console.error('Error testing image:', error);
-        showToast('Failed to test image', 'error');
+        // Train / validation / test images per class, and the full stop reason
+        row.cells[8].title = dataset.classes.map(cls => `${cls.name}: ${cls.train} / ${cls.validation} / ${cls.test}`).join('\n');
+        row.cells[12].title = run.stopReason;
+
+        const actions = createElement('div', 'run-actions');
+        const restoreBtn = createElement('button', 'btn btn-small btn-secondary', '↩️ Restore');
+        restoreBtn.title = 'Restore this run\'s parameters into the form';
+        restoreBtn.addEventListener('click', () => handleRestoreRun(run));
+        actions.appendChild(restoreBtn);
+
+        const deleteBtn = createElement('button', 'btn btn-small btn-danger', '🗑️');
+        deleteBtn.title = 'Delete run';
+        deleteBtn.addEventListener('click', () => handleDeleteRun(run.id));
+        actions.appendChild(deleteBtn);
+        row.insertCell().appendChild(actions);
     }
 }
 
-// ==================== Model Management ====================
-async function handleSaveModel() {
-    if (!modelManager.model) {
-        showToast('No model to save', 'warning');
-        return;
+function updateRunsChart() {
+    const runs = state.runs.filter(run => state.selectedRunIds.has(run.id));
+    elements.runsChartWrapper.classList.toggle('hidden', runs.length === 0);
+    if (runs.length === 0) return;
+
+    const metric = elements.runsMetric.value;
+    const numEpochs = Math.max(...runs.map(run => run.history.length > 0 ? run.history[run.history.length - 1].epoch + 1 : 0));
+    const labels = Array.from({ length: numEpochs }, (_, i) => i + 1);
+
+    const series = runs.map(run => {
+        const data = new Array(numEpochs).fill(null);
+        run.history.forEach(entry => {
+            data[entry.epoch] = entry[metric] ?? null;
+        });
+        return { label: `Run #${run.id}`, data, borderColor: RUN_COLORS[run.id % RUN_COLORS.length] };
+    });
+
+    state.runsChart.options.scales.y.title.text = elements.runsMetric.selectedOptions[0].textContent;
+    setChartSeries(state.runsChart, labels, series);
+}
+
+function handleRestoreRun(run) {
+    if (state.isTraining) {
+        showToast('Parameters cannot be changed during training', 'warning');
+        return;
+    }
+
+    applyTrainingParams(run.params);
+    showToast(`Restored parameters from run #${run.id}`, 'success');
+}
+
+/**
+ * Fill the training parameter form from saved params, firing input/change
+ * events so value labels and dependent controls update
+ */
+function applyTrainingParams(params) {
+    const setValue = (input, value) => {
+        if (value == null) return;
+        if (input.type === 'checkbox') {
+            input.checked = value;
+        } else {
+            input.value = value;
+        }
+        input.dispatchEvent(new Event('input'));
+        input.dispatchEvent(new Event('change'));
+    };
+
+    setValue(elements.learningRate, params.learningRate);
+    setValue(elements.batchSize, params.batchSize);
+    setValue(elements.epochs, params.epochs);
+    setValue(elements.modelArchitecture, params.architecture);
+    if (params.architecture === 'simple-cnn') {
+        setValue(elements.inputSize, params.imageSize);
+        setValue(elements.grayscale, params.channels != null ? params.channels === 1 : null);
+    }
+    setValue(elements.resizeMode, params.preprocessing?.resize);
+    setValue(elements.normalization, params.preprocessing?.normalization);
+
+    if (params.backbone) {
+        if (state.backbones.some(entry => entry.id === params.backbone)) {
+            setValue(elements.backboneSelect, params.backbone);
+        } else {
+            showToast('The run\'s backbone is no longer available', 'warning');
+        }
     }
+    if (params.layers) {
+        state.cnnLayers = structuredClone(params.layers);
+        renderArchitectureEditor();
+    }
+
+    const augmentation = params.augmentation;
+    if (augmentation) {
+        setValue(elements.augHorizontalFlip, augmentation.horizontalFlip);
+        setValue(elements.augVerticalFlip, augmentation.verticalFlip);
+        setValue(elements.augCrop, augmentation.randomCrop > 0);
+        setValue(elements.augRotation, augmentation.rotation > 0);
+        setValue(elements.augBrightness, augmentation.brightness > 0);
+        setValue(elements.augContrast, augmentation.contrast > 0);
+        if (augmentation.randomCrop > 0) setValue(elements.augCropStrength, augmentation.randomCrop * 100);
+        if (augmentation.rotation > 0) setValue(elements.augRotationStrength, augmentation.rotation);
+        if (augmentation.brightness > 0) setValue(elements.augBrightnessStrength, augmentation.brightness);
+        if (augmentation.contrast > 0) setValue(elements.augContrastStrength, augmentation.contrast);
+    }
+
+    setValue(elements.cacheFeatures, params.cacheFeatures);
+    if (params.fineTune) {
+        setValue(elements.fineTune, params.fineTune.enabled);
+        setValue(elements.fineTuneLayers, params.fineTune.layers);
+        setValue(elements.fineTuneEpochs, params.fineTune.epochs);
+        setValue(elements.fineTuneLr, params.fineTune.learningRate);
+    }
+
+    setValue(elements.optimizer, params.optimizer);
+    setValue(elements.momentum, params.momentum);
+    if (params.lrSchedule) {
+        setValue(elements.lrSchedule, params.lrSchedule.type);
+        setValue(elements.lrWarmup, params.lrSchedule.warmupEpochs);
+        setValue(elements.lrStepSize, params.lrSchedule.stepSize);
+        setValue(elements.lrFactor, params.lrSchedule.factor);
+        setValue(elements.lrDecayRate, params.lrSchedule.decayRate);
+        setValue(elements.lrPatience, params.lrSchedule.patience);
+        setValue(elements.lrMin, params.lrSchedule.minLearningRate);
+    }
+
+    setValue(elements.checkpointEvery, params.checkpointEvery);
+    if (params.earlyStopping) {
+        setValue(elements.earlyStopping, params.earlyStopping.enabled);
+        setValue(elements.earlyStoppingMonitor, params.earlyStopping.monitor);
+        setValue(elements.earlyStoppingPatience, params.earlyStopping.patience);
+        setValue(elements.earlyStoppingMinDelta, params.earlyStopping.minDelta);
+        setValue(elements.restoreBestWeights, params.earlyStopping.restoreBestWeights);
+    }
+}
+
+async function handleDeleteRun(id) {
+    try {
+        await storage.deleteRun(id);
+        await loadRuns();
+    } catch (error) {
+        console.error('Error deleting run:', error);
+        showToast('Failed to delete run', 'error');
+    }
+}
+
+async function handleClearRuns() {
+    if (!confirm('Delete all training runs?')) {
+        return;
+    }
+
+    try {
+        await storage.clearRuns();
+        await loadRuns();
+        showToast('Training runs cleared', 'success');
+    } catch (error) {
+        console.error('Error clearing runs:', error);
+        showToast('Failed to clear runs', 'error');
+    }
+}
+
+// ==================== Hyperparameter Search ====================
+function getSearchSpace() {
+    const slider = elements.learningRate;
+    const learningRates = elements.searchLearningRates.value
+        .split(/[\s,]+/)
+        .filter(Boolean)
+        .map(Number);
+    if (learningRates.some(rate => !(rate >= parseFloat(slider.min) && rate <= parseFloat(slider.max)))) {
+        throw new Error(`Learning rates must be numbers between ${slider.min} and ${slider.max}`);
+    }
+
+    const batchSizes = [...document.querySelectorAll('.search-batch-size:checked')].map(input => parseInt(input.value));
+
+    const architectures = [];
+    if (elements.searchCnn.checked) {
+        architectures.push({ name: 'Custom CNN', architecture: 'simple-cnn', layers: structuredClone(state.cnnLayers) });
+    }
+    if (elements.searchMobilenet.checked) {
+        const backbone = state.backbones.find(entry => entry.id === elements.backboneSelect.value);
+        architectures.push({ name: backbone ? backbone.name : 'MobileNet', architecture: 'mobilenet', backbone: elements.backboneSelect.value });
+    }
+
+    return { learningRates: [...new Set(learningRates)], batchSizes, architectures };
+}
+
+function describeTrial(trial) {
+    return `${trial.name}, LR ${trial.learningRate}, batch ${trial.batchSize}`;
+}
+
+async function handleStartSearch() {
+    if (state.isTraining) return;
+
+    try {
+        const summary = await getTrainableDataSummary();
+        if (!summary) return;
+
+        const space = getSearchSpace();
+        if (space.architectures.some(entry => entry.architecture === 'simple-cnn') && !checkCnnArchitecture(summary.numClasses)) {
+            return;
+        }
+
+        const trials = createTrials(space, {
+            strategy: elements.searchStrategy.value,
+            budget: Math.max(1, parseInt(elements.searchBudget.value) || 1),
+            learningRateStep: parseFloat(elements.learningRate.step)
+        });
+        const search = new HyperparameterSearch(trials, {
+            metric: elements.searchMetric.value,
+            epochs: Math.max(1, parseInt(elements.searchEpochs.value) || 1)
+        });
+
+        // Each trial trains a new model, so the current one is replaced by the last trial's
+        if (modelManager.model && !modelManager.modelId &&
+            !confirm('The search replaces the current model, which has not been saved. Continue?')) {
+            return;
+        }
+
+        const trainingData = await prepareTraining();
+        if (!trainingData.validation) {
+            showToast('No validation images; trials are ranked on training metrics', 'warning');
+        }
+
+        state.searchRanking = [];
+        renderSearchResults(search);
+        beginTraining(0);
+
+        // Trial results are shown in the search table instead of per-run toasts
+        const trainingCallbacks = {
+            ...createTrainingCallbacks(),
+            onTrainingEnd: () => {},
+            onTrainingError: () => {}
+        };
+
+        const ranking = await search.run(trainingData, getTrainingParams(), {
+            training: trainingCallbacks,
+            onTrialStart: (index, total, trial) => {
+                resetTrainingCharts();
+                state.trainingStartTime = Date.now();
+                state.trainingStartEpoch = 0;
+                elements.searchStatus.textContent = `Trial ${index + 1} / ${total}: ${describeTrial(trial)}`;
+            },
+            onTrialEnd: (result, ranking) => {
+                state.searchRanking = ranking;
+                renderSearchResults(search);
+            }
+        });
+
+        const best = ranking[0];
+        elements.searchStatus.textContent = best?.score != null
+            ? `${search.stopped ? 'Search stopped' : 'Search finished'} after ${ranking.length} trial(s). Best: ${describeTrial(best.trial)}`
+            : 'Search finished without a successful trial';
+        showToast(search.stopped ? 'Search stopped' : 'Search finished', search.stopped ? 'warning' : 'success');
+    } catch (error) {
+        console.error('Error running search:', error);
+        showToast('Search failed: ' + error.message, 'error');
+    }
+
+    state.isTraining = false;
+    stopTimer();
+    updateTrainingUI('idle');
+    updateBackboneStatus();
+    await refreshCheckpoint();
+    await loadRuns();
+}
+
+function renderSearchResults(search) {
+    const table = elements.searchResultsTable;
+    table.innerHTML = '';
+    if (state.searchRanking.length === 0) return;
+
+    const metricLabel = SEARCH_METRICS[search.metric] ?? search.metric;
+    const headerRow = table.createTHead().insertRow();
+    ['Rank', 'Trial', 'Architecture', 'LR', 'Batch', metricLabel, 'Best Epoch', 'Duration', 'Status', '']
+        .forEach(text => headerRow.appendChild(createElement('th', null, text)));
+
+    const format = (value) => value == null ? '--' : search.metric.includes('acc') ? formatPercent(value) : value.toFixed(4);
+
+    const body = table.createTBody();
+    state.searchRanking.forEach((result, rank) => {
+        const row = body.insertRow();
+        if (rank === 0 && result.score != null) {
+            row.classList.add('best-trial');
+        }
+
+        [
+            result.score != null ? rank + 1 : '--',
+            `#${result.index + 1}`,
+            result.trial.name,
+            result.trial.learningRate,
+            result.trial.batchSize,
+            format(result.score),
+            result.bestEpoch != null ? result.bestEpoch + 1 : '--',
+            formatTime(result.duration / 1000),
+            result.status.charAt(0).toUpperCase() + result.status.slice(1)
+        ].forEach(text => {
+            row.insertCell().textContent = text;
+        });
+        if (result.error) {
+            row.cells[8].title = result.error;
+        }
+
+        const adoptBtn = createElement('button', 'btn btn-small btn-secondary adopt-trial-btn', 'Adopt');
+        adoptBtn.disabled = state.isTraining;
+        adoptBtn.addEventListener('click', () => handleAdoptTrial(result));
+        row.insertCell().appendChild(adoptBtn);
+    });
+}
+
+function handleAdoptTrial(result) {
+    if (!result || state.isTraining) return;
+
+    const { trial } = result;
+    applyTrainingParams({
+        learningRate: trial.learningRate,
+        batchSize: trial.batchSize,
+        architecture: trial.architecture,
+        backbone: trial.backbone,
+        layers: trial.layers
+    });
+    showToast(`Adopted ${describeTrial(trial)}; start training to use it`, 'success');
+}
+
+// ==================== Data Augmentation ====================
+function getAugmentationOptions() {
+    return {
+        horizontalFlip: elements.augHorizontalFlip.checked,
+        verticalFlip: elements.augVerticalFlip.checked,
+        randomCrop: elements.augCrop.checked ? parseFloat(elements.augCropStrength.value) / 100 : 0,
+        rotation: elements.augRotation.checked ? parseFloat(elements.augRotationStrength.value) : 0,
+        brightness: elements.augBrightness.checked ? parseFloat(elements.augBrightnessStrength.value) : 0,
+        contrast: elements.augContrast.checked ? parseFloat(elements.augContrastStrength.value) : 0
+    };
+}
+
+async function handleAugmentationPreview() {
+    const classId = parseInt(elements.augPreviewClass.value);
+    const options = getAugmentationOptions();
+
+    if (!isAugmentationEnabled(options)) {
+        showToast('Enable at least one augmentation to preview', 'warning');
+        return;
+    }
+
+    try {
+        const images = await storage.getImagesByClass(classId);
+        if (images.length === 0) {
+            showToast('This class has no images to preview', 'warning');
+            return;
+        }
+
+        // Show several random variants of images picked from the class
+        const numSamples = 8;
+        const sources = [];
+        for (let i = 0; i < numSamples; i++) {
+            sources.push(await modelManager.loadImage(images[Math.floor(Math.random() * images.length)].data));
+        }
+
+        const augmented = tf.tidy(() => {
+            // Augmentation is previewed before normalization, on values from 0 to 1
+            const config = { ...getInputConfig(), resize: elements.resizeMode.value };
+            const batch = tf.concat(sources.map(img => modelManager.imageToTensor(img, config)));
+            return tf.unstack(augmentBatch(batch, options));
+        });
+
+        elements.augPreviewGrid.innerHTML = '';
+        for (const image of augmented) {
+            const canvas = document.createElement('canvas');
+            await tf.browser.toPixels(image, canvas);
+            elements.augPreviewGrid.appendChild(canvas);
+        }
+        tf.dispose(augmented);
+    } catch (error) {
+        console.error('Error previewing augmentation:', error);
+        showToast('Failed to preview augmentation', 'error');
+    }
+}
+
+// ==================== CNN Architecture ====================
+function initArchitectureEditor() {
+    for (const [type, { label }] of Object.entries(LAYER_TYPES)) {
+        const option = createElement('option', '', label);
+        option.value = type;
+        elements.layerType.appendChild(option);
+    }
+    renderArchitectureEditor();
+}
+
+function renderArchitectureEditor() {
+    elements.architectureLayers.innerHTML = '';
+
+    state.cnnLayers.forEach((spec, index) => {
+        const row = createElement('tr');
+        row.appendChild(createElement('td', '', String(index + 1)));
+        row.appendChild(createElement('td', '', LAYER_TYPES[spec.type].label));
+
+        const paramsCell = createElement('td');
+        const params = createElement('div', 'layer-params');
+        for (const [name, param] of Object.entries(LAYER_TYPES[spec.type].params)) {
+            const label = createElement('label', '', param.label);
+            label.appendChild(createLayerParamInput(spec, name, param));
+            params.appendChild(label);
+        }
+        paramsCell.appendChild(params);
+        row.appendChild(paramsCell);
+
+        row.appendChild(createElement('td', 'layer-shape'));
+        row.appendChild(createElement('td', 'layer-param-count'));
+
+        const actions = createElement('td');
+        const buttons = createElement('div', 'layer-actions');
+        const moveUpBtn = createElement('button', 'btn btn-small btn-secondary', '↑');
+        moveUpBtn.disabled = index === 0;
+        moveUpBtn.addEventListener('click', () => moveLayer(index, -1));
+        const moveDownBtn = createElement('button', 'btn btn-small btn-secondary', '↓');
+        moveDownBtn.disabled = index === state.cnnLayers.length - 1;
+        moveDownBtn.addEventListener('click', () => moveLayer(index, 1));
+        const removeBtn = createElement('button', 'btn btn-small btn-danger', '✕');
+        removeBtn.addEventListener('click', () => {
+            state.cnnLayers.splice(index, 1);
+            renderArchitectureEditor();
+        });
+        buttons.append(moveUpBtn, moveDownBtn, removeBtn);
+        actions.appendChild(buttons);
+        row.appendChild(actions);
+
+        elements.architectureLayers.appendChild(row);
+    });
+
+    const outputRow = createElement('tr', 'output-layer');
+    outputRow.appendChild(createElement('td', '', String(state.cnnLayers.length + 1)));
+    outputRow.appendChild(createElement('td', '', 'Dense (output)'));
+    outputRow.appendChild(createElement('td', '', 'Softmax over classes'));
+    outputRow.appendChild(createElement('td', 'layer-shape'));
+    outputRow.appendChild(createElement('td', 'layer-param-count'));
+    outputRow.appendChild(createElement('td'));
+    elements.architectureLayers.appendChild(outputRow);
+
+    updateArchitectureSummary();
+}
+
+function createLayerParamInput(spec, name, param) {
+    if (param.options) {
+        const select = createElement('select');
+        for (const value of param.options) {
+            const option = createElement('option', '', value);
+            option.value = value;
+            select.appendChild(option);
+        }
+        select.value = spec[name];
+        select.addEventListener('change', () => {
+            spec[name] = select.value;
+            updateArchitectureSummary();
+        });
+        return select;
+    }
+
+    const input = createElement('input');
+    input.type = 'number';
+    input.min = param.min;
+    input.max = param.max;
+    input.step = param.step ?? 1;
+    input.value = spec[name];
+    input.addEventListener('input', () => {
+        const value = param.step ? parseFloat(input.value) : parseInt(input.value);
+        if (!Number.isNaN(value)) {
+            spec[name] = Math.min(param.max, Math.max(param.min, value));
+            updateArchitectureSummary();
+        }
+    });
+    return input;
+}
+
+function moveLayer(index, offset) {
+    const [spec] = state.cnnLayers.splice(index, 1);
+    state.cnnLayers.splice(index + offset, 0, spec);
+    renderArchitectureEditor();
+}
+
+function updateArchitectureSummary() {
+    const numClasses = Math.max(state.classes.length, 2);
+    const description = describeArchitecture(state.cnnLayers, getInputShape(), numClasses);
+    const rows = elements.architectureLayers.querySelectorAll('tr');
+    const formatShape = (shape) => shape ? `[${shape.join(', ')}]` : '--';
+
+    state.cnnLayers.forEach((spec, i) => {
+        const layer = description.layers[i];
+        rows[i].classList.toggle('layer-error', !layer);
+        rows[i].querySelector('.layer-shape').textContent = formatShape(layer?.outputShape);
+        rows[i].querySelector('.layer-param-count').textContent = layer ? layer.params.toLocaleString() : '--';
+    });
+
+    const outputRow = rows[state.cnnLayers.length];
+    outputRow.querySelector('.layer-shape').textContent = formatShape(description.outputShape);
+    outputRow.querySelector('.layer-param-count').textContent = description.error ? '--' : description.outputParams.toLocaleString();
+
+    elements.architectureSummary.textContent = description.error
+        ? `⚠️ ${description.error}`
+        : `Total parameters: ${description.totalParams.toLocaleString()}`;
+    elements.architectureSummary.classList.toggle('error', Boolean(description.error));
+}
+
+async function loadArchitecturePresets(selectedName = elements.architecturePreset.value) {
+    const presets = await getArchitecturePresets();
+
+    elements.architecturePreset.innerHTML = '';
+    const defaultOption = createElement('option', '', 'Simple CNN (default)');
+    defaultOption.value = '';
+    elements.architecturePreset.appendChild(defaultOption);
+    for (const preset of presets) {
+        const option = createElement('option', '', preset.name);
+        option.value = preset.name;
+        elements.architecturePreset.appendChild(option);
+    }
+
+    elements.architecturePreset.value = presets.some(preset => preset.name === selectedName) ? selectedName : '';
+    elements.deletePresetBtn.disabled = !elements.architecturePreset.value;
+}
+
+async function handleSelectPreset() {
+    const name = elements.architecturePreset.value;
+    elements.deletePresetBtn.disabled = !name;
+
+    if (!name) {
+        state.cnnLayers = structuredClone(DEFAULT_ARCHITECTURE);
+    } else {
+        const preset = (await getArchitecturePresets()).find(p => p.name === name);
+        if (!preset) return;
+        state.cnnLayers = structuredClone(preset.layers);
+        elements.presetName.value = preset.name;
+    }
+    renderArchitectureEditor();
+}
+
+async function handleSavePreset() {
+    const name = elements.presetName.value.trim();
+    if (!name) {
+        showToast('Please enter a preset name', 'warning');
+        return;
+    }
+
+    try {
+        await saveArchitecturePreset(name, structuredClone(state.cnnLayers));
+        await loadArchitecturePresets(name);
+        showToast(`Architecture preset "${name}" saved`, 'success');
+    } catch (error) {
+        console.error('Error saving preset:', error);
+        showToast('Failed to save preset: ' + error.message, 'error');
+    }
+}
+
+async function handleDeletePreset() {
+    const name = elements.architecturePreset.value;
+    if (!name || !confirm(`Delete architecture preset "${name}"?`)) return;
+
+    try {
+        await deleteArchitecturePreset(name);
+        await loadArchitecturePresets('');
+        showToast(`Architecture preset "${name}" deleted`, 'success');
+    } catch (error) {
+        console.error('Error deleting preset:', error);
+        showToast('Failed to delete preset: ' + error.message, 'error');
+    }
+}
+
+// ==================== Backbones ====================
+async function loadBackbones(selectedId = elements.backboneSelect.value || DEFAULT_BACKBONE_ID) {
+    state.backbones = await backboneManager.getCatalogue();
+
+    elements.backboneSelect.innerHTML = '';
+    for (const backbone of state.backbones) {
+        const option = createElement('option', '', backbone.custom ? `${backbone.name} (custom)` : backbone.name);
+        option.value = backbone.id;
+        elements.backboneSelect.appendChild(option);
+    }
+
+    const exists = state.backbones.some(entry => entry.id === selectedId);
+    elements.backboneSelect.value = exists ? selectedId : DEFAULT_BACKBONE_ID;
+
+    updateArchitectureVisibility();
+    await updateBackboneStatus();
+}
+
+function handleArchitectureChange() {
+    // MobileNet backbones were trained on pixels from -1 to 1
+    elements.normalization.value = elements.modelArchitecture.value === 'mobilenet'
+        ? 'minus-one-one'
+        : DEFAULT_PREPROCESSING.normalization;
+    updateArchitectureVisibility();
+}
+
+function updateArchitectureVisibility() {
+    const isTransfer = elements.modelArchitecture.value === 'mobilenet';
+    document.querySelectorAll('.transfer-only').forEach(group => group.classList.toggle('hidden', !isTransfer));
+    document.querySelectorAll('.cnn-only').forEach(group => group.classList.toggle('hidden', isTransfer));
+}
+
+async function updateBackboneStatus() {
+    const cached = await backboneManager.isCached(elements.backboneSelect.value);
+    elements.backboneStatus.textContent = cached ? '(cached offline)' : '(loaded on first use)';
+}
+
+async function handleImportBackbone(files) {
+    try {
+        const model = await backboneManager.readUploadedModel(files);
+        state.uploadedBackbone?.dispose();
+        state.uploadedBackbone = model;
+
+        // Default to the last layer that still has spatial feature maps
+        const layers = model.layers.filter(layer => layer.outputShape && !Array.isArray(layer.outputShape[0]));
+        const spatial = layers.filter(layer => layer.outputShape.length === 4);
+        const candidates = spatial.length > 0 ? spatial : layers;
+        const defaultLayer = candidates[candidates.length - 1];
+
+        elements.backboneCutLayer.innerHTML = '';
+        for (const layer of layers) {
+            const option = createElement('option', '', `${layer.name} ${JSON.stringify(layer.outputShape.slice(1))}`);
+            option.value = layer.name;
+            elements.backboneCutLayer.appendChild(option);
+        }
+        elements.backboneCutLayer.value = defaultLayer?.name ?? '';
+
+        elements.backboneName.value = model.name || '';
+        elements.backboneForm.classList.remove('hidden');
+        elements.backboneName.focus();
+    } catch (error) {
+        console.error('Error importing backbone:', error);
+        showToast('Failed to import backbone: ' + error.message, 'error');
+    }
+}
+
+async function handleAddBackbone() {
+    const name = elements.backboneName.value.trim();
+    if (!name) {
+        showToast('Please enter a backbone name', 'warning');
+        return;
+    }
+    if (!state.uploadedBackbone) return;
+
+    try {
+        const id = await backboneManager.addCustomBackbone(name, state.uploadedBackbone, elements.backboneCutLayer.value);
+        closeBackboneForm();
+
+        elements.modelArchitecture.value = 'mobilenet';
+        await loadBackbones(id);
+        showToast(`Backbone "${name}" added`, 'success');
+    } catch (error) {
+        console.error('Error adding backbone:', error);
+        showToast('Failed to add backbone: ' + error.message, 'error');
+    }
+}
+
+function closeBackboneForm() {
+    state.uploadedBackbone?.dispose();
+    state.uploadedBackbone = null;
+    elements.backboneForm.classList.add('hidden');
+    elements.backboneCutLayer.innerHTML = '';
+}
+
+// ==================== Backend Diagnostics ====================
+async function loadBackendSetting() {
+    state.availableBackends = await getAvailableBackends();
+
+    for (const { name, label, supported } of state.availableBackends) {
+        const option = createElement('option', null, supported ? label : `${label} (not available)`);
+        option.value = name;
+        option.disabled = !supported;
+        elements.backendSelect.appendChild(option);
+    }
+
+    const preferred = await getBackendSetting();
+    elements.backendSelect.value = preferred ?? '';
+    const backend = await setBackend(preferred);
+    if (preferred && backend !== preferred) {
+        showToast(`${BACKENDS[preferred]} is not available, using ${BACKENDS[backend] ?? backend}`, 'warning');
+    }
+    updateBackendStatus();
+}
+
+async function handleBackendChange() {
+    const preferred = elements.backendSelect.value || null;
+    try {
+        await saveBackendSetting(preferred);
+        const backend = await setBackend(preferred);
+
+        // The worker picks its backend when it starts
+        trainer.terminate();
+
+        if (preferred && backend !== preferred) {
+            showToast(`${BACKENDS[preferred]} could not start, using ${BACKENDS[backend] ?? backend}`, 'warning');
+        } else {
+            showToast(`Using the ${BACKENDS[backend] ?? backend} backend`, 'success');
+        }
+    } catch (error) {
+        console.error('Error changing backend:', error);
+        showToast('Failed to change backend', 'error');
+    }
+    updateBackendStatus();
+    updateWorkerStatus();
+    updateMemoryUsage();
+}
+
+async function loadMemoryGuardSettings() {
+    const { budgetMB, action } = await getMemoryGuardSettings();
+    elements.memoryBudget.value = budgetMB;
+    elements.memoryAction.value = action;
+}
+
+async function handleMemoryGuardChange() {
+    const budgetMB = parseInt(elements.memoryBudget.value);
+    if (!(budgetMB > 0)) {
+        showToast('Please enter a memory budget in MB', 'warning');
+        await loadMemoryGuardSettings();
+        return;
+    }
+
+    try {
+        await saveMemoryGuardSettings({ budgetMB, action: elements.memoryAction.value });
+    } catch (error) {
+        console.error('Error saving memory guard settings:', error);
+        showToast('Failed to save memory settings', 'error');
+    }
+}
+
+function updateBackendStatus() {
+    const backend = tf.getBackend();
+    elements.backendStatus.textContent = `(using ${BACKENDS[backend] ?? backend})`;
+}
+
+async function updateMemoryUsage() {
+    try {
+        const { backend, numTensors, numBytes, numBytesInGPU } = await trainer.getMemoryInfo();
+        let text = `${numTensors} tensors, ${formatBytes(numBytes)}`;
+        if (numBytesInGPU != null) {
+            text += ` (${formatBytes(numBytesInGPU)} on GPU)`;
+        }
+        elements.memoryUsage.textContent = `${text} · ${backend}`;
+    } catch (error) {
+        console.warn('Could not read tensor memory:', error);
+    }
+}
+
+async function handleRunBenchmark() {
+    const names = state.availableBackends.filter(backend => backend.supported).map(backend => backend.name);
+
+    state.isBenchmarking = true;
+    updateTrainingButtonState();
+    elements.benchmarkTable.innerHTML = '';
 
     try {
-        const modelInfo = await modelManager.saveModel();
+        const results = await benchmarkBackends(names, (index, total, name) => {
+            elements.benchmarkStatus.textContent = `Benchmarking ${BACKENDS[name]} (${index + 1} / ${total})...`;
+        });
+        renderBenchmarkResults(results);
+        elements.benchmarkStatus.textContent = 'Simple CNN, batch of 4 images, averaged over 3 runs';
+    } catch (error) {
+        console.error('Error running benchmark:', error);
+        elements.benchmarkStatus.textContent = '';
+        showToast('Benchmark failed: ' + error.message, 'error');
+    } finally {
+        state.isBenchmarking = false;
+        updateTrainingButtonState();
+        updateBackendStatus();
+        updateMemoryUsage();
+    }
+}
+
+function renderBenchmarkResults(results) {
+    const table = elements.benchmarkTable;
+    table.innerHTML = '';
+
+    const headerRow = table.createTHead().insertRow();
+    ['Backend', 'Predict (ms)', 'Train Step (ms)', 'Status']
+        .forEach(text => headerRow.appendChild(createElement('th', null, text)));
+
+    const format = (ms) => ms == null ? '--' : ms.toFixed(1);
+    const body = table.createTBody();
+    for (const result of results) {
+        const row = body.insertRow();
+        [
+            BACKENDS[result.backend],
+            format(result.predictMs),
+            format(result.trainStepMs),
+            result.error ? `Failed: ${result.error}` : 'OK'
+        ].forEach(text => {
+            row.insertCell().textContent = text;
+        });
+    }
+}
+
+// ==================== Validation ====================
+async function handleTestImages(files) {
+    // A single unlabelled image keeps the detailed single-image view
+    if (files.length === 1 && !getGroundTruth(files[0])) {
+        await handleTestImage(files);
+    } else {
+        await handleBatchTest(files);
+    }
+}
+
+async function handleTestImage(files) {
+    if (files.length === 0) return;
+
+    if (!modelManager.model) {
+        showToast('Please train or load a model first', 'warning');
+        return;
+    }
+
+    stopWebcam();
+
+    try {
+        const file = files[0];
+        const dataUrl = await readFileAsDataURL(file);
+
+        // Display preview
+        elements.testImagePreview.src = dataUrl;
+        elements.predictionResults.classList.remove('hidden');
+
+        // Create image element for prediction
+        const img = new Image();
+        img.onload = async () => {
+            const predictions = await trainer.predict(img);
+            showPredictions(predictions);
+        };
+        img.src = dataUrl;
+    } catch (error) {
+        console.error('Error testing image:', error);
+        showToast('Failed to test image', 'error');
+    }
+}
+
+function showPredictions(predictions) {
+    // Update predicted class
+    const topPrediction = predictions[0];
+    elements.predictedClass.textContent =
+        `${topPrediction.className}: ${formatPercent(topPrediction.probability)}`;
+
+    // Update probability chart
+    updateProbabilityChart(state.probabilityChart, predictions);
+}
+
+// ==================== Live Webcam ====================
+async function handleToggleWebcam() {
+    if (state.liveClassifier) {
+        stopWebcam();
+    } else {
+        await startWebcam();
+    }
+}
+
+async function startWebcam() {
+    if (!modelManager.model) {
+        showToast('Please train or load a model first', 'warning');
+        return;
+    }
+
+    try {
+        state.webcamSource = getFrameSource(elements.webcamVideo);
+        await state.webcamSource.start();
+    } catch (error) {
+        console.error('Error starting webcam:', error);
+        state.webcamSource?.stop();
+        state.webcamSource = null;
+        showToast('Failed to start webcam: ' + error.message, 'error');
+        return;
+    }
+
+    elements.resultPreviewTitle.textContent = 'Live Camera';
+    elements.testImagePreview.classList.add('hidden');
+    elements.webcamVideo.classList.remove('hidden');
+    elements.webcamStats.classList.remove('hidden');
+    elements.predictionResults.classList.remove('hidden');
+    elements.webcamToggleBtn.textContent = '⏹️ Stop Webcam';
+
+    state.liveClassifier = new LiveClassifier(
+        state.webcamSource,
+        frame => trainer.predict(frame),
+        {
+            fps: parseInt(elements.webcamRate.value),
+            onPrediction: (predictions, { fps, latency }) => {
+                showPredictions(predictions);
+                elements.webcamFps.textContent = fps.toFixed(1);
+                elements.webcamLatency.textContent = Math.round(latency);
+            },
+            onError: (error) => {
+                console.error('Live classification error:', error);
+                showToast('Live classification stopped: ' + error.message, 'error');
+                stopWebcam();
+            }
+        }
+    );
+    state.liveClassifier.start();
+}
+
+function stopWebcam() {
+    if (state.liveClassifier) {
+        state.liveClassifier.stop();
+        state.liveClassifier = null;
+    }
+    if (state.webcamSource) {
+        state.webcamSource.stop();
+        state.webcamSource = null;
+    }
+
+    elements.resultPreviewTitle.textContent = 'Test Image';
+    elements.testImagePreview.classList.remove('hidden');
+    elements.webcamVideo.classList.add('hidden');
+    elements.webcamStats.classList.add('hidden');
+    elements.webcamToggleBtn.textContent = '📷 Start Webcam';
+}
+
+// ==================== Batch Testing ====================
+function getGroundTruth(file) {
+    const folder = datasetManager.getClassFromPath(getFilePath(file));
+    if (!folder) return null;
+
+    const match = modelManager.classLabels.find(cls => cls.name.toLowerCase() === folder.toLowerCase());
+    return match ? match.name : null;
+}
+
+async function handleBatchTest(files) {
+    if (!modelManager.model) {
+        showToast('Please train or load a model first', 'warning');
+        return;
+    }
+
+    // Release thumbnails from the previous run
+    state.batchResults.forEach(result => URL.revokeObjectURL(result.url));
+    state.batchResults = [];
+
+    const batchSize = parseInt(elements.batchSize.value);
+    const topK = Math.min(3, modelManager.classLabels.length);
+
+    try {
+        for (let start = 0; start < files.length; start += batchSize) {
+            const batch = files.slice(start, start + batchSize);
+            const urls = batch.map(file => URL.createObjectURL(file));
+            const images = await Promise.all(urls.map(url => modelManager.loadImage(url)));
+            const predictions = await trainer.predictImages(images, batchSize);
+
+            batch.forEach((file, i) => {
+                const actual = getGroundTruth(file);
+                const top = predictions[i][0];
+                state.batchResults.push({
+                    file: getFilePath(file),
+                    url: urls[i],
+                    actual,
+                    predicted: top.className,
+                    confidence: top.probability,
+                    correct: actual ? actual === top.className : null,
+                    topK: predictions[i].slice(0, topK).map(p => ({ className: p.className, probability: p.probability }))
+                });
+            });
+
+            elements.batchProgressText.textContent = `Evaluated ${Math.min(start + batchSize, files.length)} / ${files.length}`;
+        }
+
+        state.batchSort = { key: null, ascending: true };
+        renderBatchResults();
+        showToast(`Evaluated ${files.length} image(s)`, 'success');
+    } catch (error) {
+        console.error('Error testing images:', error);
+        showToast('Failed to test images: ' + error.message, 'error');
+    }
+}
+
+function renderBatchResults() {
+    const results = [...state.batchResults];
+    const { key, ascending } = state.batchSort;
+
+    if (key) {
+        results.sort((a, b) => {
+            const x = a[key] ?? '';
+            const y = b[key] ?? '';
+            const order = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+            return ascending ? order : -order;
+        });
+    }
+
+    const labelled = state.batchResults.filter(r => r.correct !== null);
+    const correct = labelled.filter(r => r.correct).length;
+    elements.batchSummary.textContent = labelled.length > 0
+        ? `${state.batchResults.length} image(s) | Accuracy ${formatPercent(correct / labelled.length)} on ${labelled.length} labelled`
+        : `${state.batchResults.length} image(s) | No ground truth labels`;
+
+    const table = elements.batchResultsTable;
+    table.innerHTML = '';
+
+    const columns = [
+        { key: null, title: 'Image' },
+        { key: 'file', title: 'File' },
+        { key: 'actual', title: 'Actual' },
+        { key: 'predicted', title: 'Predicted' },
+        { key: 'confidence', title: 'Confidence' },
+        { key: null, title: 'Top Classes' }
+    ];
+
+    const headerRow = table.createTHead().insertRow();
+    columns.forEach(column => {
+        const th = createElement('th', null, column.title);
+        if (column.key) {
+            if (column.key === key) {
+                th.className = ascending ? 'sorted-asc' : 'sorted-desc';
+            }
+            th.addEventListener('click', () => {
+                state.batchSort = {
+                    key: column.key,
+                    ascending: state.batchSort.key === column.key ? !state.batchSort.ascending : true
+                };
+                renderBatchResults();
+            });
+        }
+        headerRow.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    results.forEach(result => {
+        const tr = body.insertRow();
+        if (result.correct !== null) {
+            tr.className = result.correct ? 'correct' : 'incorrect';
+        }
+
+        const img = document.createElement('img');
+        img.src = result.url;
+        img.alt = result.file;
+        tr.insertCell().appendChild(img);
+        tr.insertCell().textContent = result.file;
+        tr.insertCell().textContent = result.actual ?? '--';
+        tr.insertCell().textContent = result.predicted;
+        tr.insertCell().textContent = formatPercent(result.confidence);
+
+        const topCell = tr.insertCell();
+        topCell.className = 'top-k';
+        topCell.textContent = result.topK.map(p => `${p.className} ${formatPercent(p.probability)}`).join(', ');
+    });
+
+    elements.batchResults.classList.remove('hidden');
+}
+
+function exportBatchResults(format) {
+    if (state.batchResults.length === 0) {
+        showToast('There are no results to export', 'warning');
+        return;
+    }
+
+    const results = state.batchResults.map(({ url, ...result }) => result);
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+
+    if (format === 'json') {
+        const blob = new Blob([JSON.stringify(results, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, `test-results-${stamp}.json`);
+        return;
+    }
+
+    const topK = Math.max(...results.map(r => r.topK.length));
+    const headers = ['file', 'actual', 'predicted', 'confidence', 'correct'];
+    for (let i = 1; i <= topK; i++) {
+        headers.push(`top${i}_class`, `top${i}_probability`);
+    }
+
+    const rows = results.map(r => [
+        r.file,
+        r.actual,
+        r.predicted,
+        r.confidence,
+        r.correct,
+        ...r.topK.flatMap(p => [p.className, p.probability])
+    ]);
+
+    const blob = new Blob([toCSV(headers, rows)], { type: 'text/csv' });
+    downloadBlob(blob, `test-results-${stamp}.csv`);
+}
+
+// ==================== Evaluation Report ====================
+async function handleEvaluateModel() {
+    if (!modelManager.model) {
+        showToast('Please train or load a model first', 'warning');
+        return;
+    }
+
+    try {
+        const heldOut = await modelManager.getHeldOutSamples();
+        if (!heldOut) {
+            showToast('No validation or test images to evaluate on', 'warning');
+            return;
+        }
+
+        showToast(`Evaluating on ${heldOut.samples.length} ${heldOut.split} image(s)...`, 'info');
+        const report = await trainer.evaluateClassification(heldOut.samples, parseInt(elements.batchSize.value));
+        report.split = heldOut.split;
+        showEvaluationReport(report);
+    } catch (error) {
+        console.error('Error evaluating model:', error);
+        showToast('Failed to evaluate model: ' + error.message, 'error');
+    }
+}
+
+function showEvaluationReport(report) {
+    state.evaluationReport = report;
+    const labels = modelManager.classLabels.map(cls => cls.name);
+
+    elements.evaluationSplit.textContent = report.split === 'test' ? 'Test' : 'Validation';
+    elements.evaluationSummary.textContent =
+        `Accuracy ${formatPercent(report.accuracy)} on ${report.predictions.length} image(s) | ` +
+        `Macro F1 ${report.macro.f1.toFixed(3)}`;
+
+    renderConfusionMatrix(elements.confusionMatrix, report.matrix, labels, showCellImages);
+    renderClassMetricsTable(elements.classMetricsTable, report.classMetrics, labels, report.macro);
+
+    elements.cellImages.classList.add('hidden');
+    elements.evaluationReport.classList.remove('hidden');
+}
+
+async function showCellImages(actual, predicted) {
+    const report = state.evaluationReport;
+    const labels = modelManager.classLabels.map(cls => cls.name);
+    const matches = report.predictions.filter(p => p.label === actual && p.predicted === predicted);
+
+    elements.cellImagesTitle.textContent =
+        `Actual "${labels[actual]}" predicted as "${labels[predicted]}" (${matches.length})`;
+    elements.cellImagesGrid.innerHTML = '';
+    elements.cellImages.classList.remove('hidden');
+
+    try {
+        const records = await storage.getImagesById(matches.map(p => p.id));
+        records.forEach((record, i) => {
+            // The image may have been deleted since the evaluation ran
+            if (!record) return;
+
+            const item = createElement('div', 'cell-image');
+            const img = document.createElement('img');
+            img.src = record.data;
+            img.alt = record.name || 'Evaluated image';
+            item.appendChild(img);
+            item.appendChild(createElement('div', null, formatPercent(matches[i].confidence)));
+            elements.cellImagesGrid.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Error loading evaluated images:', error);
+        showToast('Failed to load images', 'error');
+    }
+}
+
+// ==================== Model Management ====================
+function handleSaveModel() {
+    if (!modelManager.model) {
+        showToast('No model to save', 'warning');
+        return;
+    }
+
+    openModelPicker('save');
+}
+
+function handleLoadModel() {
+    openModelPicker('load');
+}
+
+async function openModelPicker(mode) {
+    state.modelPickerMode = mode;
+    elements.modelPickerTitle.textContent = mode === 'save' ? '💾 Save Model' : '📂 Load Model';
+    elements.modelSaveForm.classList.toggle('hidden', mode !== 'save');
+    elements.modelPicker.classList.remove('hidden');
+
+    if (mode === 'save') {
+        const current = modelManager.modelId && await storage.getModelInfo(modelManager.modelId);
+        elements.modelName.value = current ? current.name : '';
+        elements.modelName.focus();
+    }
+
+    await renderModelList();
+}
+
+function closeModelPicker() {
+    state.modelPickerMode = null;
+    elements.modelPicker.classList.add('hidden');
+}
+
+async function renderModelList() {
+    const [models, activeId] = await Promise.all([
+        storage.getAllModelInfo(),
+        storage.getActiveModelId()
+    ]);
+
+    elements.modelList.innerHTML = '';
+
+    if (models.length === 0) {
+        elements.modelList.appendChild(createElement('p', 'model-list-empty', 'No saved models yet'));
+        return;
+    }
+
+    models.forEach(info => {
+        elements.modelList.appendChild(renderModelEntry(info, info.id === activeId));
+    });
+}
+
+function renderModelEntry(info, isActive) {
+    const entry = createElement('div', isActive ? 'model-entry active' : 'model-entry');
+    entry.dataset.modelId = info.id;
+
+    const details = createElement('div', 'model-entry-details');
+    const name = createElement('span', 'model-entry-name', info.name);
+    details.appendChild(name);
+    if (isActive) {
+        name.appendChild(createElement('span', 'model-entry-badge', 'Active'));
+    }
+
+    const labels = (info.classLabels || []).map(cls => cls.name).join(', ');
+    const hp = info.hyperparameters || {};
+    const backbone = state.backbones.find(entry => entry.id === info.backbone);
+    const architecture = info.architecture === 'mobilenet'
+        ? (backbone ? backbone.name : 'MobileNet')
+        : info.architecture === 'simple-cnn'
+            ? `Custom CNN (${describeInput({ imageSize: info.imageSize, channels: info.preprocessing?.channels })})`
+            : 'Unknown';
+    const accuracy = info.finalAccuracy != null ? formatPercent(info.finalAccuracy) : '--';
+    const testAccuracy = info.testAccuracy != null ? formatPercent(info.testAccuracy) : '--';
+
+    details.appendChild(createElement('div', 'model-entry-meta', `Classes: ${labels || '--'}`));
+    details.appendChild(createElement('div', 'model-entry-meta',
+        `${architecture} | LR ${hp.learningRate ?? '--'} | Batch ${hp.batchSize ?? '--'} | Epochs ${hp.epochs ?? '--'}`));
+    details.appendChild(createElement('div', 'model-entry-meta',
+        `Accuracy: ${accuracy} | Test: ${testAccuracy} | Saved ${new Date(info.savedAt).toLocaleString()}`));
+
+    const actions = createElement('div', 'model-entry-actions');
+
+    if (state.modelPickerMode === 'save') {
+        const overwriteBtn = createElement('button', 'btn btn-small btn-primary', 'Overwrite');
+        overwriteBtn.addEventListener('click', () => {
+            elements.modelName.value = info.name;
+            handleConfirmSaveModel();
+        });
+        actions.appendChild(overwriteBtn);
+    } else {
+        const loadBtn = createElement('button', 'btn btn-small btn-primary', 'Load');
+        loadBtn.addEventListener('click', () => loadModelById(info.id));
+        actions.appendChild(loadBtn);
+    }
+
+    const activeBtn = createElement('button', 'btn btn-small btn-success', 'Set Active');
+    activeBtn.disabled = isActive;
+    activeBtn.addEventListener('click', () => handleSetActiveModel(info.id));
+    actions.appendChild(activeBtn);
+
+    const deleteBtn = createElement('button', 'btn btn-small btn-danger', '🗑️');
+    deleteBtn.title = 'Delete model';
+    deleteBtn.addEventListener('click', () => handleDeleteSavedModel(info));
+    actions.appendChild(deleteBtn);
+
+    entry.appendChild(details);
+    entry.appendChild(actions);
+    return entry;
+}
+
+async function handleConfirmSaveModel() {
+    const name = elements.modelName.value.trim();
+    if (!name) {
+        showToast('Please enter a model name', 'warning');
+        return;
+    }
+
+    try {
+        const id = modelManager.getModelId(name);
+        const existing = await storage.getModelInfo(id);
+        if (existing && !confirm(`A model named "${existing.name}" already exists. Overwrite it?`)) {
+            return;
+        }
+
+        const modelInfo = await modelManager.saveModel(name);
         await storage.saveModelInfo(modelInfo);
-        showToast('Model saved successfully!', 'success');
+
+        // The first saved model becomes active automatically
+        if (!await storage.getActiveModelId()) {
+            await storage.setActiveModel(modelInfo.id);
+        }
+
+        closeModelPicker();
+        showToast(`Model "${modelInfo.name}" saved successfully!`, 'success');
     } catch (error) {
         console.error('Error saving model:', error);
         showToast('Failed to save model', 'error');
     }
 }
 
-async function handleLoadModel() {
+async function loadModelById(id) {
     try {
-        const modelInfo = await storage.getModelInfo();
-        if (!modelInfo) {
+        const modelInfo = await storage.getModelInfo(id);
+        if (!modelInfo || !await modelManager.hasSavedModel(id)) {
             showToast('No saved model found', 'warning');
             return;
         }
 
         await modelManager.loadModel(modelInfo);
-        elements.modelStatus.textContent = 'Loaded';
+        elements.modelStatus.textContent = `Loaded (${modelInfo.name})`;
+        elements.finalAccuracy.textContent = modelInfo.finalAccuracy != null ? formatPercent(modelInfo.finalAccuracy) : '--';
+        elements.testAccuracy.textContent = modelInfo.testAccuracy != null ? formatPercent(modelInfo.testAccuracy) : '--';
         elements.saveModelBtn.disabled = false;
-        showToast('Model loaded successfully!', 'success');
+        elements.exportModelBtn.disabled = false;
+        elements.evaluateModelBtn.disabled = false;
+        updateTrainingButtonState();
+        closeModelPicker();
+        showToast(`Model "${modelInfo.name}" loaded successfully!`, 'success');
     } catch (error) {
         console.error('Error loading model:', error);
         showToast('Failed to load model', 'error');
     }
 }
 
+async function handleSetActiveModel(id) {
+    try {
+        await storage.setActiveModel(id);
+        await renderModelList();
+        await checkSavedModel();
+    } catch (error) {
+        console.error('Error setting active model:', error);
+        showToast('Failed to set active model', 'error');
+    }
+}
+
+async function handleDeleteSavedModel(info) {
+    if (!confirm(`Are you sure you want to delete the saved model "${info.name}"?`)) {
+        return;
+    }
+
+    try {
+        await modelManager.deleteModel(info.id);
+        await storage.deleteModelInfo(info.id);
+        await renderModelList();
+        showToast(`Model "${info.name}" deleted`, 'success');
+    } catch (error) {
+        console.error('Error deleting model:', error);
+        showToast('Failed to delete model', 'error');
+    }
+}
+
+async function handleExportModel() {
+    if (!modelManager.model) {
+        showToast('No model to export', 'warning');
+        return;
+    }
+
+    try {
+        const current = modelManager.modelId && await storage.getModelInfo(modelManager.modelId);
+        const name = current ? current.name : 'Untitled model';
+        const blob = await modelManager.exportModel(name);
+        downloadBlob(blob, `${modelManager.getModelId(name)}.zip`);
+        showToast(`Model "${name}" exported`, 'success');
+    } catch (error) {
+        console.error('Error exporting model:', error);
+        showToast('Failed to export model: ' + error.message, 'error');
+    }
+}
+
+async function handleImportModel(files) {
+    try {
+        const metadata = await modelManager.importModel(files);
+
+        // Keep existing registry entries by picking a free name
+        const baseName = metadata.name || 'Imported model';
+        let name = baseName;
+        for (let i = 2; await storage.getModelInfo(modelManager.getModelId(name)); i++) {
+            name = `${baseName} (${i})`;
+        }
+
+        const modelInfo = await modelManager.saveModel(name);
+        await storage.saveModelInfo(modelInfo);
+
+        elements.modelStatus.textContent = `Loaded (${modelInfo.name})`;
+        elements.finalAccuracy.textContent = modelInfo.finalAccuracy != null ? formatPercent(modelInfo.finalAccuracy) : '--';
+        elements.testAccuracy.textContent = modelInfo.testAccuracy != null ? formatPercent(modelInfo.testAccuracy) : '--';
+        elements.saveModelBtn.disabled = false;
+        elements.exportModelBtn.disabled = false;
+        elements.evaluateModelBtn.disabled = false;
+        updateTrainingButtonState();
+        showToast(`Model "${modelInfo.name}" imported successfully!`, 'success');
+    } catch (error) {
+        console.error('Error importing model:', error);
+        showToast('Failed to import model: ' + error.message, 'error');
+    }
+}
+
 async function handleClearData() {
+    // Training reads images and the model as it goes
+    if (state.isTraining) {
+        showToast('Data cannot be cleared during training', 'warning');
+        return;
+    }
+
     if (!confirm('Are you sure you want to clear all data? This will delete all classes, images, and saved models.')) {
         return;
     }
 
+    stopWebcam();
+
     try {
+        const savedModels = await storage.getAllModelInfo();
+        for (const info of savedModels) {
+            await modelManager.deleteModel(info.id);
+        }
+        await backboneManager.clearCustomBackbones();
+        await modelManager.deleteCheckpoint();
         await storage.clearAll();
-        await modelManager.deleteModel();
+
+        // Free every model, the cached backbone and anything left over from training
+        trainer.terminate();
+        modelManager.dispose();
+        cleanupMemory();
+        await loadBackbones();
+        await loadArchitecturePresets('');
+        await loadRuns();
+        state.checkpoint = null;
 
         // Clear UI
         elements.classesContainer.innerHTML = '';
@@ -756,8 +3019,7 @@ async function handleClearData() {
         state.selectedClassId = null;
 
         // Reset charts
-        resetChart(state.lossChart);
-        resetChart(state.accuracyChart);
+        resetTrainingCharts();
 
         // Reset stats
         updateStats();
@@ -765,9 +3027,18 @@ async function handleClearData() {
 
         elements.modelStatus.textContent = 'Not Trained';
         elements.saveModelBtn.disabled = true;
+        elements.exportModelBtn.disabled = true;
+        elements.evaluateModelBtn.disabled = true;
         elements.finalAccuracy.textContent = '--';
+        elements.testAccuracy.textContent = '--';
         elements.predictionResults.classList.add('hidden');
         elements.classSelector.classList.add('hidden');
+        updateCaptureTarget();
+        elements.evaluationReport.classList.add('hidden');
+        state.evaluationReport = null;
+        elements.batchResults.classList.add('hidden');
+        state.batchResults.forEach(result => URL.revokeObjectURL(result.url));
+        state.batchResults = [];
 
         showToast('All data cleared', 'success');
     } catch (error) {
@@ -782,14 +3053,33 @@ async function updateStats() {
         const summary = await storage.getDataSummary();
         elements.totalImages.textContent = summary.totalImages;
         elements.numClasses.textContent = summary.numClasses;
+
+        const { train, validation, test, unassigned } = summary.splitCounts;
+        elements.splitCounts.textContent = `${train + unassigned} / ${validation} / ${test}`;
     } catch (error) {
         console.error('Error updating stats:', error);
     }
 }
 
 function updateTrainingButtonState() {
-    const canTrain = state.classes.length >= 2;
+    // Benchmarks switch the page's backend, so nothing trains while they run
+    const canTrain = state.classes.length >= 2 && !state.isBenchmarking;
     elements.startTrainingBtn.disabled = !canTrain || state.isTraining;
+
+    // Resume an interrupted run, or keep training the current model
+    const checkpoint = state.checkpoint;
+    elements.resumeTrainingBtn.disabled = !canTrain || state.isTraining || (!checkpoint && !modelManager.model);
+    elements.resumeTrainingBtn.textContent = checkpoint
+        ? `⏯️ Resume (epoch ${checkpoint.epoch + 1} / ${checkpoint.totalEpochs})`
+        : '⏯️ Continue Training';
+
+    elements.startSearchBtn.disabled = !canTrain || state.isTraining;
+    elements.backendSelect.disabled = state.isTraining || state.isBenchmarking;
+    elements.benchmarkBtn.disabled = state.isTraining || state.isBenchmarking;
+    elements.adoptBestBtn.disabled = state.isTraining || state.searchRanking[0]?.score == null;
+    elements.searchResultsTable.querySelectorAll('.adopt-trial-btn').forEach(btn => {
+        btn.disabled = state.isTraining;
+    });
 }
 
 // ==================== Initialize Application ====================
@@ -0,0 +1,246 @@
+/**
+ * CNN Architecture Module
+ * Layer specs for the custom CNN, shape/parameter inference and named presets
+ *
+ * An architecture is a list of layer specs such as { type: 'conv2d', filters: 32,
+ * kernelSize: 3, activation: 'relu' }. The softmax output layer is not part of
+ * the list; it is added for the number of classes when the model is built.
+ */
+
+import { storage } from './storage.js';
+
+// Settings key for saved architecture presets
+const PRESETS_SETTING = 'architecturePresets';
+
+const ACTIVATIONS = ['relu', 'elu', 'selu', 'tanh', 'sigmoid', 'linear'];
+
+/**
+ * Layer types available in the editor and their editable parameters
+ */
+export const LAYER_TYPES = {
+    conv2d: {
+        label: 'Conv 2D',
+        params: {
+            filters: { label: 'Filters', min: 1, max: 1024, default: 32 },
+            kernelSize: { label: 'Kernel', min: 1, max: 11, default: 3 },
+            activation: { label: 'Activation', options: ACTIVATIONS, default: 'relu' }
+        }
+    },
+    maxPooling2d: {
+        label: 'Max Pooling',
+        params: {
+            poolSize: { label: 'Pool', min: 2, max: 8, default: 2 }
+        }
+    },
+    averagePooling2d: {
+        label: 'Average Pooling',
+        params: {
+            poolSize: { label: 'Pool', min: 2, max: 8, default: 2 }
+        }
+    },
+    batchNormalization: {
+        label: 'Batch Norm',
+        params: {}
+    },
+    dropout: {
+        label: 'Dropout',
+        params: {
+            rate: { label: 'Rate', min: 0, max: 0.9, step: 0.05, default: 0.5 }
+        }
+    },
+    flatten: {
+        label: 'Flatten',
+        params: {}
+    },
+    globalAveragePooling2d: {
+        label: 'Global Avg Pooling',
+        params: {}
+    },
+    dense: {
+        label: 'Dense',
+        params: {
+            units: { label: 'Units', min: 1, max: 4096, default: 128 },
+            activation: { label: 'Activation', options: ACTIVATIONS, default: 'relu' }
+        }
+    }
+};
+
+/**
+ * The original Simple CNN: three conv blocks of 32/64/128 filters and a 256-unit dense layer
+ */
+export const DEFAULT_ARCHITECTURE = [
+    { type: 'conv2d', filters: 32, kernelSize: 3, activation: 'relu' },
+    { type: 'maxPooling2d', poolSize: 2 },
+    { type: 'conv2d', filters: 64, kernelSize: 3, activation: 'relu' },
+    { type: 'maxPooling2d', poolSize: 2 },
+    { type: 'conv2d', filters: 128, kernelSize: 3, activation: 'relu' },
+    { type: 'maxPooling2d', poolSize: 2 },
+    { type: 'flatten' },
+    { type: 'dropout', rate: 0.5 },
+    { type: 'dense', units: 256, activation: 'relu' },
+    { type: 'dropout', rate: 0.3 }
+];
+
+/**
+ * Create a layer spec with default parameters
+ */
+export function createLayerSpec(type) {
+    const spec = { type };
+    for (const [name, param] of Object.entries(LAYER_TYPES[type].params)) {
+        spec[name] = param.default;
+    }
+    return spec;
+}
+
+/**
+ * Work out each layer's output shape and parameter count without building the model.
+ * Returns the first problem found as `error` instead of throwing.
+ */
+export function describeArchitecture(layers, inputShape, numClasses) {
+    let shape = [...inputShape];
+    let totalParams = 0;
+    const described = [];
+
+    const fail = (index, message) => ({ layers: described, totalParams, outputShape: null, error: `Layer ${index + 1}: ${message}` });
+
+    for (const [i, spec] of layers.entries()) {
+        const isSpatial = shape.length === 3;
+        let params = 0;
+
+        switch (spec.type) {
+            case 'conv2d':
+                if (!isSpatial) return fail(i, 'Conv 2D needs image-shaped input');
+                params = spec.kernelSize * spec.kernelSize * shape[2] * spec.filters + spec.filters;
+                shape = [shape[0], shape[1], spec.filters];
+                break;
+            case 'maxPooling2d':
+            case 'averagePooling2d':
+                if (!isSpatial) return fail(i, 'Pooling needs image-shaped input');
+                if (shape[0] < spec.poolSize || shape[1] < spec.poolSize) {
+                    return fail(i, `input ${shape[0]}×${shape[1]} is smaller than the pool size`);
+                }
+                shape = [Math.floor(shape[0] / spec.poolSize), Math.floor(shape[1] / spec.poolSize), shape[2]];
+                break;
+            case 'batchNormalization':
+                // gamma and beta are trained, moving mean and variance are not
+                params = 4 * shape[shape.length - 1];
+                break;
+            case 'dropout':
+                break;
+            case 'flatten':
+                shape = [shape.reduce((size, dim) => size * dim, 1)];
+                break;
+            case 'globalAveragePooling2d':
+                if (!isSpatial) return fail(i, 'Global pooling needs image-shaped input');
+                shape = [shape[2]];
+                break;
+            case 'dense':
+                if (isSpatial) return fail(i, 'add Flatten or Global Avg Pooling before Dense');
+                params = shape[0] * spec.units + spec.units;
+                shape = [spec.units];
+                break;
+            default:
+                return fail(i, `unknown layer type "${spec.type}"`);
+        }
+
+        totalParams += params;
+        described.push({ ...spec, outputShape: [...shape], params });
+    }
+
+    if (shape.length !== 1) {
+        return {
+            layers: described,
+            totalParams,
+            outputShape: null,
+            error: 'Add Flatten or Global Avg Pooling before the output layer'
+        };
+    }
+
+    // Softmax output layer
+    const outputParams = shape[0] * numClasses + numClasses;
+    return {
+        layers: described,
+        totalParams: totalParams + outputParams,
+        outputParams,
+        outputShape: [numClasses],
+        error: null
+    };
+}
+
+/**
+ * Build a sequential model from layer specs, ending in a softmax over the classes
+ */
+export function buildArchitecture(layers, inputShape, numClasses) {
+    const { error } = describeArchitecture(layers, inputShape, numClasses);
+    if (error) {
+        throw new Error(error);
+    }
+
+    const model = tf.sequential();
+    layers.forEach((spec, i) => {
+        const config = i === 0 ? { inputShape } : {};
+        model.add(createLayer(spec, config));
+    });
+    model.add(tf.layers.dense({ units: numClasses, activation: 'softmax' }));
+
+    return model;
+}
+
+/**
+ * Create a TensorFlow.js layer from a spec
+ */
+function createLayer(spec, config) {
+    switch (spec.type) {
+        case 'conv2d':
+            return tf.layers.conv2d({
+                ...config,
+                filters: spec.filters,
+                kernelSize: spec.kernelSize,
+                activation: spec.activation,
+                padding: 'same'
+            });
+        case 'maxPooling2d':
+            return tf.layers.maxPooling2d({ ...config, poolSize: spec.poolSize });
+        case 'averagePooling2d':
+            return tf.layers.averagePooling2d({ ...config, poolSize: spec.poolSize });
+        case 'batchNormalization':
+            return tf.layers.batchNormalization(config);
+        case 'dropout':
+            return tf.layers.dropout({ ...config, rate: spec.rate });
+        case 'flatten':
+            return tf.layers.flatten(config);
+        case 'globalAveragePooling2d':
+            return tf.layers.globalAveragePooling2d(config);
+        case 'dense':
+            return tf.layers.dense({ ...config, units: spec.units, activation: spec.activation });
+        default:
+            throw new Error(`Unknown layer type "${spec.type}"`);
+    }
+}
+
+/**
+ * Get saved architecture presets
+ */
+export async function getArchitecturePresets() {
+    return await storage.getSetting(PRESETS_SETTING) || [];
+}
+
+/**
+ * Save an architecture under a name, replacing any preset with the same name
+ */
+export async function saveArchitecturePreset(name, layers) {
+    const presets = (await getArchitecturePresets()).filter(preset => preset.name !== name);
+    presets.push({ name, layers, savedAt: Date.now() });
+    presets.sort((a, b) => a.name.localeCompare(b.name));
+    await storage.saveSetting(PRESETS_SETTING, presets);
+    return presets;
+}
+
+/**
+ * Delete a saved architecture preset
+ */
+export async function deleteArchitecturePreset(name) {
+    const presets = (await getArchitecturePresets()).filter(preset => preset.name !== name);
+    await storage.saveSetting(PRESETS_SETTING, presets);
+    return presets;
+}
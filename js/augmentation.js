@@ -0,0 +1,93 @@
+/**
+ * Data Augmentation Module
+ * Random image transformations applied to training batches
+ */
+
+/**
+ * Default augmentation options (everything disabled)
+ */
+export const DEFAULT_AUGMENTATION = {
+    horizontalFlip: false,
+    verticalFlip: false,
+    randomCrop: 0,
+    rotation: 0,
+    brightness: 0,
+    contrast: 0
+};
+
+/**
+ * Check if any augmentation is enabled
+ */
+export function isAugmentationEnabled(options) {
+    if (!options) return false;
+    return options.horizontalFlip || options.verticalFlip ||
+        options.randomCrop > 0 || options.rotation > 0 ||
+        options.brightness > 0 || options.contrast > 0;
+}
+
+/**
+ * Apply random augmentations to a batch of images with values in [0, 1]
+ *
+ * - randomCrop: largest fraction of each side that may be cropped away
+ * - rotation: largest rotation in degrees, either direction
+ * - brightness: largest value added to or subtracted from every pixel
+ * - contrast: largest relative change in contrast
+ */
+export function augmentBatch(images, options) {
+    return tf.tidy(() => {
+        let batch = images;
+        const [batchSize, height, width] = batch.shape;
+
+        if (options.horizontalFlip) {
+            batch = randomlyApply(batch, tf.image.flipLeftRight(batch));
+        }
+
+        if (options.verticalFlip) {
+            batch = randomlyApply(batch, tf.reverse(batch, 1));
+        }
+
+        if (options.randomCrop > 0) {
+            const boxes = [];
+            for (let i = 0; i < batchSize; i++) {
+                const scale = 1 - Math.random() * options.randomCrop;
+                const top = Math.random() * (1 - scale);
+                const left = Math.random() * (1 - scale);
+                boxes.push([top, left, top + scale, left + scale]);
+            }
+            batch = tf.image.cropAndResize(
+                batch,
+                tf.tensor2d(boxes, [batchSize, 4]),
+                tf.range(0, batchSize, 1, 'int32'),
+                [height, width]
+            );
+        }
+
+        if (options.rotation > 0) {
+            // rotateWithOffset takes one angle per call, so rotate images individually
+            const maxRadians = options.rotation * Math.PI / 180;
+            batch = tf.concat(tf.split(batch, batchSize).map(image =>
+                tf.image.rotateWithOffset(image, (Math.random() * 2 - 1) * maxRadians, 0)
+            ));
+        }
+
+        if (options.brightness > 0) {
+            batch = batch.add(tf.randomUniform([batchSize, 1, 1, 1], -options.brightness, options.brightness));
+        }
+
+        if (options.contrast > 0) {
+            const factor = tf.randomUniform([batchSize, 1, 1, 1], 1 - options.contrast, 1 + options.contrast);
+            const mean = batch.mean([1, 2, 3], true);
+            batch = batch.sub(mean).mul(factor).add(mean);
+        }
+
+        return batch.clipByValue(0, 1);
+    });
+}
+
+/**
+ * Pick the transformed or original version of each image with equal probability
+ */
+function randomlyApply(original, transformed) {
+    const mask = tf.randomUniform([original.shape[0], 1, 1, 1]).less(0.5).toFloat();
+    return transformed.mul(mask).add(original.mul(tf.scalar(1).sub(mask)));
+}
@@ -0,0 +1,207 @@
+/**
+ * Backbone Module
+ * Catalogue of pretrained base models for transfer learning, with offline
+ * loading and IndexedDB caching
+ */
+
+import { storage } from './storage.js';
+
+// IndexedDB location for cached backbone models
+const BACKBONE_CACHE_PREFIX = 'indexeddb://backbone';
+
+// Settings key listing user-imported backbones
+const CUSTOM_BACKBONES_SETTING = 'customBackbones';
+
+const DEFAULT_BACKBONE_ID = 'mobilenet-v1-0.25';
+
+// Bundled weights sit in models/ next to index.html. Resolved from this module
+// rather than the page, so the worker (whose base URL is js/worker.js) finds them too.
+function bundledModelUrl(path) {
+    return new URL(`../models/${path}`, import.meta.url).href;
+}
+
+function mobileNetV1(alpha) {
+    return {
+        id: `mobilenet-v1-${alpha}`,
+        name: `MobileNet v1 (α ${alpha})`,
+        localUrl: bundledModelUrl(`mobilenet_v1_${alpha}_224/model.json`),
+        remoteUrl: `https://storage.googleapis.com/tfjs-models/tfjs/mobilenet_v1_${alpha}_224/model.json`,
+        cutLayer: 'conv_pw_13_relu'
+    };
+}
+
+function mobileNetV2(alpha) {
+    return {
+        id: `mobilenet-v2-${alpha}`,
+        name: `MobileNet v2 (α ${alpha})`,
+        localUrl: bundledModelUrl(`mobilenet_v2_${alpha}_224/model.json`),
+        remoteUrl: `https://storage.googleapis.com/teachable-machine-models/mobilenet_v2_weights_tf_dim_ordering_tf_kernels_${alpha}_224_no_top/model.json`,
+        cutLayer: 'out_relu'
+    };
+}
+
+// Built-in backbones. Each is looked up in the IndexedDB cache first, then at
+// localUrl (weights bundled next to index.html), then at remoteUrl.
+const BUILT_IN_BACKBONES = [
+    mobileNetV1('0.25'),
+    mobileNetV1('0.50'),
+    mobileNetV1('0.75'),
+    mobileNetV1('1.0'),
+    mobileNetV2('0.35'),
+    mobileNetV2('0.50'),
+    mobileNetV2('0.75'),
+    mobileNetV2('1.00')
+];
+
+class BackboneManager {
+    /**
+     * Get built-in and user-imported backbones
+     */
+    async getCatalogue() {
+        const custom = await storage.getSetting(CUSTOM_BACKBONES_SETTING) || [];
+        return [...BUILT_IN_BACKBONES, ...custom.map(entry => ({ ...entry, custom: true }))];
+    }
+
+    /**
+     * Find a catalogue entry by id
+     */
+    async getBackbone(id) {
+        const catalogue = await this.getCatalogue();
+        const backbone = catalogue.find(entry => entry.id === id);
+        if (!backbone) {
+            throw new Error(`Unknown backbone "${id}"`);
+        }
+        return backbone;
+    }
+
+    /**
+     * Get the IndexedDB URL of a cached backbone
+     */
+    getCacheUrl(id) {
+        return `${BACKBONE_CACHE_PREFIX}/${id}`;
+    }
+
+    /**
+     * Check if a backbone is cached in IndexedDB
+     */
+    async isCached(id) {
+        try {
+            const models = await tf.io.listModels();
+            return this.getCacheUrl(id) in models;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Load a backbone truncated at its cut layer
+     */
+    async loadBackbone(id) {
+        const backbone = await this.getBackbone(id);
+        const model = await this.loadFullModel(backbone);
+
+        const layer = model.getLayer(backbone.cutLayer);
+        return tf.model({
+            inputs: model.inputs,
+            outputs: layer.output
+        });
+    }
+
+    /**
+     * Load the complete backbone model, caching it after the first download
+     */
+    async loadFullModel(backbone) {
+        const cacheUrl = this.getCacheUrl(backbone.id);
+        if (await this.isCached(backbone.id)) {
+            return tf.loadLayersModel(cacheUrl);
+        }
+
+        if (backbone.custom) {
+            throw new Error(`Backbone "${backbone.name}" is no longer cached; import it again`);
+        }
+
+        let model;
+        try {
+            model = await tf.loadLayersModel(backbone.localUrl);
+        } catch {
+            // No bundled copy, fall back to downloading
+            model = await tf.loadLayersModel(backbone.remoteUrl);
+        }
+
+        try {
+            await model.save(cacheUrl);
+        } catch (error) {
+            console.warn('Could not cache backbone:', error);
+        }
+
+        return model;
+    }
+
+    /**
+     * Read an uploaded Layers model (model.json plus weight files)
+     */
+    async readUploadedModel(files) {
+        const jsonFile = files.find(file => file.name.toLowerCase().endsWith('.json'));
+        if (!jsonFile) {
+            throw new Error('Select a model.json file together with its weight files');
+        }
+
+        const weightFiles = files.filter(file => file !== jsonFile);
+        return tf.loadLayersModel(tf.io.browserFiles([jsonFile, ...weightFiles]));
+    }
+
+    /**
+     * Cache an uploaded model and add it to the catalogue with the chosen cut layer.
+     * Importing under an existing name replaces that backbone. Each import gets a new
+     * id, so features cached for the previous weights or cut layer are never reused.
+     */
+    async addCustomBackbone(name, model, cutLayer) {
+        model.getLayer(cutLayer);
+
+        const slug = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'backbone';
+        const id = `custom-${slug}-${Date.now().toString(36)}`;
+        await model.save(this.getCacheUrl(id));
+
+        const custom = await storage.getSetting(CUSTOM_BACKBONES_SETTING) || [];
+        const replaced = custom.filter(entry => entry.name === name.trim());
+        const kept = custom.filter(entry => !replaced.includes(entry));
+        kept.push({ id, name: name.trim(), cutLayer });
+        await storage.saveSetting(CUSTOM_BACKBONES_SETTING, kept);
+
+        for (const entry of replaced) {
+            await this.removeCachedBackbone(entry.id);
+        }
+
+        return id;
+    }
+
+    /**
+     * Remove a cached backbone and the features computed with it
+     */
+    async removeCachedBackbone(id) {
+        try {
+            await tf.io.removeModel(this.getCacheUrl(id));
+        } catch {
+            // Cache entry might not exist
+        }
+        await storage.deleteEmbeddingsForBackbone(id);
+    }
+
+    /**
+     * Remove cached copies of user-imported backbones
+     */
+    async clearCustomBackbones() {
+        const custom = await storage.getSetting(CUSTOM_BACKBONES_SETTING) || [];
+        for (const entry of custom) {
+            try {
+                await tf.io.removeModel(this.getCacheUrl(entry.id));
+            } catch {
+                // Cache entry might not exist
+            }
+        }
+    }
+}
+
+// Export singleton instance
+export const backboneManager = new BackboneManager();
+export { DEFAULT_BACKBONE_ID };
@@ -0,0 +1,238 @@
+/**
+ * Backends Module
+ * TensorFlow.js backend selection, capability checks, benchmarks and memory stats
+ *
+ * WebGL and CPU come with the main TensorFlow.js bundle; WASM and WebGPU are
+ * loaded from the CDN the first time they are used.
+ */
+
+import { storage } from './storage.js';
+import { DEFAULT_ARCHITECTURE, buildArchitecture } from './architecture.js';
+import { IMAGE_SIZE } from './model.js';
+
+// Settings key for the chosen backend (null lets TensorFlow.js pick)
+const BACKEND_SETTING = 'backend';
+
+const CDN_URL = 'https://cdn.jsdelivr.net/npm/';
+const TFJS_VERSION = '4.15.0';
+
+/**
+ * Backends that can be chosen, fastest first
+ */
+export const BACKENDS = {
+    webgpu: 'WebGPU',
+    webgl: 'WebGL',
+    wasm: 'WebAssembly',
+    cpu: 'CPU'
+};
+
+// Tried in this order when the chosen backend cannot start
+const FALLBACK_ORDER = ['webgl', 'wasm', 'cpu'];
+
+// Backends that are not part of the main bundle: the page loads their script,
+// the worker imports their ES module
+const BACKEND_PACKAGES = {
+    wasm: { name: '@tensorflow/tfjs-backend-wasm', script: 'tf-backend-wasm.min.js' },
+    webgpu: { name: '@tensorflow/tfjs-backend-webgpu', script: 'tf-backend-webgpu.min.js' }
+};
+
+const loading = {};
+
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Failed to load ${src}`));
+        document.head.appendChild(script);
+    });
+}
+
+/**
+ * Register a backend that is not part of the main bundle
+ */
+function loadBackendPackage(name) {
+    const backendPackage = BACKEND_PACKAGES[name];
+    if (!backendPackage || tf.findBackendFactory(name)) {
+        return Promise.resolve();
+    }
+
+    if (!loading[name]) {
+        const packageUrl = `${CDN_URL}${backendPackage.name}@${TFJS_VERSION}`;
+        const load = typeof document !== 'undefined'
+            ? loadScript(`${packageUrl}/dist/${backendPackage.script}`).then(() => tf[name])
+            : import(`${packageUrl}/+esm`);
+
+        loading[name] = load.then((module) => {
+            // The WASM backend fetches its .wasm binaries separately
+            module?.setWasmPaths?.(`${packageUrl}/dist/`);
+        }).catch((error) => {
+            delete loading[name];
+            throw error;
+        });
+    }
+    return loading[name];
+}
+
+async function hasWebGL() {
+    const canvas = typeof OffscreenCanvas !== 'undefined'
+        ? new OffscreenCanvas(1, 1)
+        : document.createElement('canvas');
+    return !!(canvas.getContext('webgl2') || canvas.getContext('webgl'));
+}
+
+async function hasWebGPU() {
+    if (typeof navigator === 'undefined' || !navigator.gpu) {
+        return false;
+    }
+    // Browsers with WebGPU but no usable GPU return no adapter
+    return !!(await navigator.gpu.requestAdapter());
+}
+
+/**
+ * List the backends with whether this browser can run them
+ */
+export async function getAvailableBackends() {
+    const checks = {
+        webgpu: hasWebGPU,
+        webgl: hasWebGL,
+        wasm: async () => typeof WebAssembly === 'object',
+        cpu: async () => true
+    };
+
+    const backends = [];
+    for (const [name, label] of Object.entries(BACKENDS)) {
+        let supported = false;
+        try {
+            supported = await checks[name]();
+        } catch (error) {
+            console.warn(`Could not check the ${label} backend:`, error);
+        }
+        backends.push({ name, label, supported });
+    }
+    return backends;
+}
+
+/**
+ * Switch to a backend without falling back. Returns false if it cannot start.
+ */
+async function trySetBackend(name) {
+    try {
+        await loadBackendPackage(name);
+        return await tf.setBackend(name);
+    } catch (error) {
+        console.warn(`Backend "${name}" failed to start:`, error);
+        return false;
+    }
+}
+
+/**
+ * Switch to a backend, falling back to WebGL, WASM and then CPU when it cannot start.
+ * Without a name TensorFlow.js picks the backend. Resolves to the backend in use.
+ */
+export async function setBackend(name) {
+    if (name) {
+        for (const candidate of [name, ...FALLBACK_ORDER.filter(n => n !== name)]) {
+            if (await trySetBackend(candidate)) {
+                if (candidate !== name) {
+                    console.warn(`Backend "${name}" unavailable, using "${candidate}"`);
+                }
+                return candidate;
+            }
+        }
+    }
+
+    await tf.ready();
+    return tf.getBackend();
+}
+
+/**
+ * Get the saved backend choice, or null for automatic
+ */
+export async function getBackendSetting() {
+    return await storage.getSetting(BACKEND_SETTING) ?? null;
+}
+
+/**
+ * Save the backend choice (null for automatic)
+ */
+export async function saveBackendSetting(name) {
+    await storage.saveSetting(BACKEND_SETTING, name || null);
+}
+
+/**
+ * Get tensor memory stats for the current backend
+ */
+export function getMemoryInfo() {
+    const { numTensors, numBytes, numBytesInGPU } = tf.memory();
+    return { backend: tf.getBackend(), numTensors, numBytes, numBytesInGPU: numBytesInGPU ?? null };
+}
+
+/**
+ * Time prediction and one training step of the Simple CNN on the current backend.
+ * Each is run once to warm up, then averaged over `runs`.
+ */
+async function benchmarkCurrentBackend({ batchSize = 4, runs = 3 } = {}) {
+    const numClasses = 2;
+    const model = buildArchitecture(DEFAULT_ARCHITECTURE, [IMAGE_SIZE, IMAGE_SIZE, 3], numClasses);
+    const optimizer = tf.train.adam(0.001);
+    model.compile({ optimizer, loss: 'categoricalCrossentropy' });
+
+    const xs = tf.randomUniform([batchSize, IMAGE_SIZE, IMAGE_SIZE, 3]);
+    const ys = tf.tidy(() => tf.oneHot(tf.zeros([batchSize], 'int32'), numClasses));
+
+    const time = async (step) => {
+        await step();
+        const start = performance.now();
+        for (let i = 0; i < runs; i++) {
+            await step();
+        }
+        return (performance.now() - start) / runs;
+    };
+
+    try {
+        const predictMs = await time(async () => {
+            const output = model.predict(xs);
+            await output.data();
+            output.dispose();
+        });
+        const trainStepMs = await time(() => model.trainOnBatch(xs, ys));
+        return { predictMs, trainStepMs };
+    } finally {
+        tf.dispose([xs, ys]);
+        optimizer.dispose();
+        model.dispose();
+    }
+}
+
+/**
+ * Benchmark each backend in turn, then switch back to the one in use
+ */
+export async function benchmarkBackends(names, onProgress) {
+    const original = tf.getBackend();
+    const results = [];
+
+    try {
+        for (const [index, name] of names.entries()) {
+            if (onProgress) {
+                onProgress(index, names.length, name);
+            }
+
+            const result = { backend: name, predictMs: null, trainStepMs: null, error: null };
+            try {
+                if (!await trySetBackend(name)) {
+                    throw new Error('Backend could not start');
+                }
+                Object.assign(result, await benchmarkCurrentBackend());
+            } catch (error) {
+                console.error(`Benchmark on ${name} failed:`, error);
+                result.error = error.message;
+            }
+            results.push(result);
+        }
+    } finally {
+        await trySetBackend(original);
+    }
+
+    return results;
+}
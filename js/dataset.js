@@ -0,0 +1,275 @@
+/**
+ * Dataset Module
+ * Handles exporting and importing the training dataset as zip archives
+ */
+
+import { storage } from './storage.js';
+import { SPLITS } from './model.js';
+import { readFileAsDataURL, getFilePath } from './ui.js';
+
+// Exported dataset layout
+const DATASET_FORMAT = 'tfjs-image-classifier-dataset';
+const DATASET_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
+
+// Settings key remembering the percentages the stored splits were made with
+const SPLIT_SETTING = 'splitConfig';
+
+const IMAGE_TYPES = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    bmp: 'image/bmp'
+};
+
+class DatasetManager {
+    /**
+     * Export every class and its images as a zip with one folder per class
+     */
+    async exportDataset() {
+        const zip = new JSZip();
+        const classes = await storage.getClasses();
+        const usedFolders = new Set();
+        const manifest = {
+            format: DATASET_FORMAT,
+            version: DATASET_VERSION,
+            exportedAt: Date.now(),
+            classes: []
+        };
+
+        for (const cls of classes) {
+            const folder = this.uniqueName(this.sanitizeName(cls.name) || `class-${cls.id}`, usedFolders);
+            const images = await storage.getImagesByClass(cls.id);
+            const usedFiles = new Set();
+            const entry = { name: cls.name, folder, images: [] };
+
+            images.forEach((img, i) => {
+                const { mimeType, base64 } = this.parseDataUrl(img.data);
+                const extension = this.getExtension(mimeType);
+                const baseName = img.name
+                    ? this.sanitizeName(img.name.replace(/\.[^.]+$/, ''))
+                    : `image-${String(i + 1).padStart(4, '0')}`;
+                const fileName = this.uniqueName(`${baseName}.${extension}`, usedFiles);
+
+                zip.file(`${folder}/${fileName}`, base64, { base64: true });
+                entry.images.push({ file: fileName, createdAt: img.createdAt });
+            });
+
+            manifest.classes.push(entry);
+        }
+
+        zip.file(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+
+        return zip.generateAsync({ type: 'blob' });
+    }
+
+    /**
+     * Import classes and images from zip archives or files with per-class folders
+     */
+    async importDataset(files) {
+        const items = [];
+
+        for (const file of files) {
+            if (file.name.toLowerCase().endsWith('.zip')) {
+                items.push(...await this.readZip(file));
+            } else if (this.getMimeType(file.name)) {
+                const className = this.getClassFromPath(getFilePath(file));
+                if (className) {
+                    items.push({
+                        className,
+                        fileName: file.name,
+                        getData: () => readFileAsDataURL(file)
+                    });
+                }
+            }
+        }
+
+        if (items.length === 0) {
+            throw new Error('No images found in per-class folders');
+        }
+
+        // Reuse existing classes with the same name
+        const classes = await storage.getClasses();
+        const classIds = new Map(classes.map(cls => [cls.name.toLowerCase(), cls.id]));
+        let classesCreated = 0;
+        let imagesAdded = 0;
+
+        for (const item of items) {
+            const key = item.className.toLowerCase();
+            if (!classIds.has(key)) {
+                classIds.set(key, await storage.addClass(item.className));
+                classesCreated++;
+            }
+
+            await storage.addImage(classIds.get(key), await item.getData(), item.fileName);
+            imagesAdded++;
+        }
+
+        return { classesCreated, imagesAdded };
+    }
+
+    /**
+     * Assign every image to the train, validation or test split, stratified per class.
+     * Existing assignments are kept unless the split percentages changed.
+     */
+    async assignSplits(validationSplit, testSplit) {
+        const previous = await storage.getSetting(SPLIT_SETTING);
+        const reassign = !previous ||
+            previous.validationSplit !== validationSplit ||
+            previous.testSplit !== testSplit;
+
+        const classes = await storage.getClasses();
+        const imageIndex = await storage.getImageIndex();
+        const assignments = [];
+
+        for (const cls of classes) {
+            const images = imageIndex.filter(img => img.classId === cls.id);
+            const targets = this.getSplitTargets(images.length, validationSplit, testSplit);
+            const counts = { train: 0, validation: 0, test: 0 };
+            const pending = [];
+
+            for (const img of images) {
+                if (!reassign && SPLITS.includes(img.split)) {
+                    counts[img.split]++;
+                } else {
+                    pending.push(img);
+                }
+            }
+
+            // Give each new image to the split furthest below its target
+            for (const img of this.shuffle(pending)) {
+                const split = SPLITS.reduce((best, candidate) =>
+                    targets[candidate] - counts[candidate] > targets[best] - counts[best] ? candidate : best
+                );
+                counts[split]++;
+                assignments.push({ id: img.id, split });
+            }
+        }
+
+        if (assignments.length > 0) {
+            await storage.setImageSplits(assignments);
+        }
+        await storage.saveSetting(SPLIT_SETTING, { validationSplit, testSplit });
+    }
+
+    /**
+     * Get per-split image counts for a class, keeping at least one training image
+     */
+    getSplitTargets(numImages, validationSplit, testSplit) {
+        let validation = Math.round(numImages * validationSplit);
+        let test = Math.round(numImages * testSplit);
+
+        while (numImages > 0 && validation + test >= numImages) {
+            if (test >= validation) {
+                test--;
+            } else {
+                validation--;
+            }
+        }
+
+        return { train: numImages - validation - test, validation, test };
+    }
+
+    /**
+     * Shuffle an array in place
+     */
+    shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+
+    /**
+     * List the images inside a dataset zip along with their class names
+     */
+    async readZip(file) {
+        const zip = await JSZip.loadAsync(file);
+        const manifestEntry = Object.values(zip.files).find(entry =>
+            !entry.dir && entry.name.split('/').pop() === MANIFEST_FILE
+        );
+
+        // Folder names are sanitized on export, so prefer the manifest's class names
+        const folderNames = new Map();
+        if (manifestEntry) {
+            const manifest = JSON.parse(await manifestEntry.async('string'));
+            for (const cls of manifest.classes || []) {
+                folderNames.set(cls.folder, cls.name);
+            }
+        }
+
+        const items = [];
+        for (const entry of Object.values(zip.files)) {
+            const mimeType = this.getMimeType(entry.name);
+            const folder = this.getClassFromPath(entry.name);
+            if (entry.dir || !mimeType || !folder) continue;
+
+            items.push({
+                className: folderNames.get(folder) || folder,
+                fileName: entry.name.split('/').pop(),
+                getData: async () => `data:${mimeType};base64,${await entry.async('base64')}`
+            });
+        }
+
+        return items;
+    }
+
+    /**
+     * Get the class name for a file path, which is its parent folder
+     */
+    getClassFromPath(path) {
+        const parts = path.split('/').filter(Boolean);
+        return parts.length >= 2 ? parts[parts.length - 2] : null;
+    }
+
+    /**
+     * Split a base64 data URL into its MIME type and payload
+     */
+    parseDataUrl(dataUrl) {
+        const [header, base64] = dataUrl.split(',');
+        const mimeType = header.match(/^data:([^;]+)/)?.[1] || 'image/png';
+        return { mimeType, base64 };
+    }
+
+    /**
+     * Guess an image MIME type from a file name
+     */
+    getMimeType(fileName) {
+        const extension = fileName.split('.').pop().toLowerCase();
+        return IMAGE_TYPES[extension] || null;
+    }
+
+    /**
+     * Get the file extension for an image MIME type
+     */
+    getExtension(mimeType) {
+        const match = Object.entries(IMAGE_TYPES).find(([, type]) => type === mimeType);
+        return match ? match[0] : 'png';
+    }
+
+    /**
+     * Make a name safe to use as a zip path segment
+     */
+    sanitizeName(name) {
+        return name.trim().replace(/[\\/:*?"<>|]+/g, '_');
+    }
+
+    /**
+     * Append a counter to a name until it is not in the used set
+     */
+    uniqueName(name, used) {
+        let candidate = name;
+        for (let i = 2; used.has(candidate.toLowerCase()); i++) {
+            const dot = name.lastIndexOf('.');
+            candidate = dot > 0 ? `${name.slice(0, dot)}-${i}${name.slice(dot)}` : `${name}-${i}`;
+        }
+        used.add(candidate.toLowerCase());
+        return candidate;
+    }
+}
+
+// Export singleton instance
+export const datasetManager = new DatasetManager();
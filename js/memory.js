@@ -0,0 +1,143 @@
+/**
+ * Memory Guard Module
+ * Tensor leak detection and a memory budget for training runs
+ */
+
+import { storage } from './storage.js';
+
+// Settings key for the memory guard options
+const MEMORY_GUARD_SETTING = 'memoryGuard';
+
+const BYTES_PER_FLOAT = 4;
+const BYTES_PER_MB = 1024 * 1024;
+
+// Accumulators each optimizer keeps per trainable weight
+const OPTIMIZER_SLOTS = {
+    adam: 2,
+    sgd: 1,
+    rmsprop: 2,
+    adagrad: 1
+};
+
+/**
+ * Default memory guard options
+ *
+ * - budgetMB: memory a training run may use for weights, optimizer state and one batch
+ * - action: what happens when a run would go over the budget: 'downsize' halves the
+ *   batch size until it fits, 'refuse' does not start training, 'warn' only warns
+ */
+export const DEFAULT_MEMORY_GUARD = {
+    budgetMB: 2048,
+    action: 'downsize'
+};
+
+/**
+ * Get the saved memory guard options
+ */
+export async function getMemoryGuardSettings() {
+    return { ...DEFAULT_MEMORY_GUARD, ...await storage.getSetting(MEMORY_GUARD_SETTING) };
+}
+
+/**
+ * Save the memory guard options
+ */
+export async function saveMemoryGuardSettings(settings) {
+    await storage.saveSetting(MEMORY_GUARD_SETTING, { ...DEFAULT_MEMORY_GUARD, ...settings });
+}
+
+/**
+ * Count the values each layer outputs for one example, including nested models
+ */
+function countActivations(model) {
+    let total = 0;
+    for (const layer of model.layers) {
+        if (layer instanceof tf.LayersModel) {
+            total += countActivations(layer);
+            continue;
+        }
+        const shapes = Array.isArray(layer.outputShape[0]) ? layer.outputShape : [layer.outputShape];
+        for (const shape of shapes) {
+            total += shape.slice(1).reduce((size, dim) => size * (dim ?? 1), 1);
+        }
+    }
+    return total;
+}
+
+/**
+ * Estimate the bytes a training run needs: weights, gradients and optimizer state,
+ * plus one batch's activations and their gradients for the backward pass.
+ * Images are streamed a batch at a time, so the dataset size does not count.
+ */
+export function estimateTrainingMemory(model, { batchSize, optimizer = 'adam' }) {
+    const trainableParams = model.trainableWeights.reduce((sum, w) => sum + tf.util.sizeFromShape(w.shape), 0);
+    const weights = model.countParams() * BYTES_PER_FLOAT;
+    const optimizerState = trainableParams * (1 + (OPTIMIZER_SLOTS[optimizer] ?? 2)) * BYTES_PER_FLOAT;
+    const activations = 2 * countActivations(model) * batchSize * BYTES_PER_FLOAT;
+
+    return {
+        weights,
+        optimizer: optimizerState,
+        activations,
+        total: weights + optimizerState + activations
+    };
+}
+
+/**
+ * Check a training run against the memory budget. Returns the batch size to train
+ * with, which the 'downsize' action halves until the run fits. Throws when the run
+ * does not fit and the action is not 'warn'.
+ */
+export function fitMemoryBudget(model, { batchSize, optimizer }, { budgetMB, action }) {
+    const budget = budgetMB * BYTES_PER_MB;
+    let fittedBatchSize = batchSize;
+    let estimate = estimateTrainingMemory(model, { batchSize, optimizer });
+
+    if (action === 'downsize') {
+        while (estimate.total > budget && fittedBatchSize > 1) {
+            fittedBatchSize = Math.floor(fittedBatchSize / 2);
+            estimate = estimateTrainingMemory(model, { batchSize: fittedBatchSize, optimizer });
+        }
+    }
+
+    const overBudget = estimate.total > budget;
+    if (overBudget && action !== 'warn') {
+        throw new Error(`Training needs about ${Math.ceil(estimate.total / BYTES_PER_MB)} MB, ` +
+            `over the ${budgetMB} MB memory budget; use a smaller model or batch size, or raise the budget`);
+    }
+
+    return { batchSize: fittedBatchSize, estimate, overBudget };
+}
+
+/**
+ * Watch the tensor count from one epoch to the next. Growth after the first epoch,
+ * once the optimizer has created its state, points to a leak.
+ */
+export class TensorLeakDetector {
+    constructor() {
+        this.lastCount = null;
+    }
+
+    /**
+     * Record the tensor count at the end of an epoch. Returns how many tensors
+     * were added since the previous epoch.
+     */
+    update() {
+        const { numTensors } = tf.memory();
+        const growth = this.lastCount === null ? 0 : numTensors - this.lastCount;
+        this.lastCount = numTensors;
+        return Math.max(0, growth);
+    }
+}
+
+/**
+ * Run an inference call and warn when it leaves tensors behind
+ */
+export async function trackTensors(label, run) {
+    const before = tf.memory().numTensors;
+    const result = await run();
+    const leaked = tf.memory().numTensors - before;
+    if (leaked > 0) {
+        console.warn(`${label} left ${leaked} tensor(s) behind`);
+    }
+    return result;
+}
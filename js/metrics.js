@@ -0,0 +1,59 @@
+/**
+ * Evaluation Metrics Module
+ * Confusion matrix and per-class precision/recall/F1
+ */
+
+/**
+ * Build a confusion matrix indexed as matrix[actual][predicted]
+ */
+export function computeConfusionMatrix(predictions, numClasses) {
+    const matrix = Array.from({ length: numClasses }, () => new Array(numClasses).fill(0));
+    for (const { label, predicted } of predictions) {
+        matrix[label][predicted]++;
+    }
+    return matrix;
+}
+
+/**
+ * Compute precision, recall, F1 and support for each class of a confusion matrix
+ */
+export function computeClassMetrics(matrix) {
+    return matrix.map((row, i) => {
+        const truePositives = row[i];
+        const support = row.reduce((sum, count) => sum + count, 0);
+        const predictedCount = matrix.reduce((sum, actualRow) => sum + actualRow[i], 0);
+
+        const precision = predictedCount > 0 ? truePositives / predictedCount : 0;
+        const recall = support > 0 ? truePositives / support : 0;
+        const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+
+        return { precision, recall, f1, support };
+    });
+}
+
+/**
+ * Summarize per-sample predictions into a classification report
+ */
+export function buildClassificationReport(predictions, classLabels) {
+    const matrix = computeConfusionMatrix(predictions, classLabels.length);
+    const classMetrics = computeClassMetrics(matrix);
+    const correct = predictions.filter(p => p.label === p.predicted).length;
+
+    // Macro averages weight every class equally
+    const average = (key) => classMetrics.length > 0
+        ? classMetrics.reduce((sum, m) => sum + m[key], 0) / classMetrics.length
+        : 0;
+
+    return {
+        matrix,
+        classMetrics,
+        macro: {
+            precision: average('precision'),
+            recall: average('recall'),
+            f1: average('f1'),
+            support: predictions.length
+        },
+        accuracy: predictions.length > 0 ? correct / predictions.length : 0,
+        predictions
+    };
+}
@@ -3,84 +3,162 @@
  * Handles model creation, training, and inference
  */
 
-// Image dimensions for training
+import { storage } from './storage.js';
+import { augmentBatch, isAugmentationEnabled } from './augmentation.js';
+import { buildClassificationReport } from './metrics.js';
+import { backboneManager, DEFAULT_BACKBONE_ID } from './backbones.js';
+import { buildArchitecture, DEFAULT_ARCHITECTURE } from './architecture.js';
+import { EarlyStopping, LearningRateSchedule, createOptimizer, setLearningRate } from './training.js';
+import { getMemoryGuardSettings, fitMemoryBudget, TensorLeakDetector, trackTensors } from './memory.js';
+
+// Default image dimensions, and the only ones transfer learning backbones accept
 const IMAGE_SIZE = 224;
 
+// Input sizes the custom CNN can be trained at
+const INPUT_SIZES = [64, 96, 128, 224];
+
+// IndexedDB location for saved model weights
+const MODEL_STORAGE_PREFIX = 'indexeddb://image-classifier-model';
+const LEGACY_MODEL_ID = 'current';
+const CHECKPOINT_URL = 'indexeddb://image-classifier-checkpoint';
+
+// IndexedDB location used to hand a model between the page and the training worker
+const WORKER_MODEL_URL = 'indexeddb://image-classifier-worker';
+
+// Exported bundle layout
+const BUNDLE_FORMAT = 'tfjs-image-classifier';
+const BUNDLE_VERSION = 1;
+const WEIGHT_SHARD_BYTES = 4 * 1024 * 1024;
+
+// Dataset splits, in the order they are reported
+const SPLITS = ['train', 'validation', 'test'];
+
+/**
+ * Ways to fit an image into the square model input
+ *
+ * - stretch: resize to the input size, distorting non-square images
+ * - center-crop: crop the largest centered square, then resize
+ * - letterbox: resize to fit inside the input and pad the rest with black
+ */
+const RESIZE_MODES = {
+    stretch: 'Stretch',
+    'center-crop': 'Center crop',
+    letterbox: 'Letterbox (pad)'
+};
+
+/**
+ * Value ranges pixels can be normalized to. MobileNet backbones were trained on -1 to 1.
+ */
+const NORMALIZATIONS = {
+    'zero-one': '0 to 1',
+    'minus-one-one': '-1 to 1',
+    imagenet: 'ImageNet mean/std'
+};
+
+const DEFAULT_PREPROCESSING = {
+    resize: 'stretch',
+    normalization: 'zero-one'
+};
+
+// Names used in metadata saved before preprocessing options existed
+const LEGACY_PREPROCESSING = {
+    bilinear: 'stretch',
+    'divide-255': 'zero-one'
+};
+
+// ImageNet channel statistics on the 0 to 1 scale
+const IMAGENET_MEAN = [0.485, 0.456, 0.406];
+const IMAGENET_STD = [0.229, 0.224, 0.225];
+
+// ITU-R BT.601 luminance weights for grayscale input
+const GRAYSCALE_WEIGHTS = [0.299, 0.587, 0.114];
+
+/**
+ * Copy a decoded ImageBitmap into ImageData through an OffscreenCanvas, for
+ * contexts without DOM image elements such as workers. Closes the bitmap.
+ */
+function imageBitmapToData(bitmap) {
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Dispose a model with its optimizer and nested models (backbone and head). A nested
+ * model can hold a reference of its own besides its parent's, so each is disposed
+ * separately unless `keep` still uses it. Returns the nested models.
+ */
+function disposeModel(model, keep = null) {
+    const nested = model.layers.filter(layer => layer instanceof tf.LayersModel);
+    for (const part of [model, ...nested]) {
+        part.optimizer?.dispose();
+    }
+    model.dispose();
+
+    for (const part of nested) {
+        if (keep?.layers.includes(part)) continue;
+        try {
+            part.dispose();
+        } catch {
+            // Already released along with its parent
+        }
+    }
+    return nested;
+}
+
 class ModelManager {
     constructor() {
         this.model = null;
+        this.modelId = null;
         this.mobileNetBase = null;
+        this.mobileNetBaseId = null;
+        this.featureExtractor = null;
+        this.head = null;
         this.classLabels = [];
+        this.trainingParams = null;
+        this.finalMetrics = null;
+        this.testMetrics = null;
         this.isTraining = false;
         this.isPaused = false;
         this.shouldStop = false;
         this.currentEpoch = 0;
         this.trainingCallbacks = {};
+        this.history = [];
+        this.phases = [];
+        this.lastTrainedModel = null;
+        this.earlyStopping = null;
+        this.stoppedEarly = false;
     }
 
     /**
-     * Create a simple CNN model
+     * Create a CNN from layer specs, by default the original simple CNN
      */
-    createSimpleCNN(numClasses) {
-        const model = tf.sequential();
-
-        // First convolutional block
-        model.add(tf.layers.conv2d({
-            inputShape: [IMAGE_SIZE, IMAGE_SIZE, 3],
-            filters: 32,
-            kernelSize: 3,
-            activation: 'relu',
-            padding: 'same'
-        }));
-        model.add(tf.layers.maxPooling2d({ poolSize: 2 }));
-
-        // Second convolutional block
-        model.add(tf.layers.conv2d({
-            filters: 64,
-            kernelSize: 3,
-            activation: 'relu',
-            padding: 'same'
-        }));
-        model.add(tf.layers.maxPooling2d({ poolSize: 2 }));
-
-        // Third convolutional block
-        model.add(tf.layers.conv2d({
-            filters: 128,
-            kernelSize: 3,
-            activation: 'relu',
-            padding: 'same'
-        }));
-        model.add(tf.layers.maxPooling2d({ poolSize: 2 }));
-
-        // Flatten and dense layers
-        model.add(tf.layers.flatten());
-        model.add(tf.layers.dropout({ rate: 0.5 }));
-        model.add(tf.layers.dense({ units: 256, activation: 'relu' }));
-        model.add(tf.layers.dropout({ rate: 0.3 }));
-        model.add(tf.layers.dense({ units: numClasses, activation: 'softmax' }));
-
-        return model;
+    createSimpleCNN(numClasses, layers = DEFAULT_ARCHITECTURE, { imageSize = IMAGE_SIZE, channels = 3 } = {}) {
+        return buildArchitecture(layers, [imageSize, imageSize, channels], numClasses);
     }
 
     /**
-     * Load MobileNet base model for transfer learning
+     * Load a backbone from the catalogue as the base model for transfer learning
      */
-    async loadMobileNetBase() {
-        if (this.mobileNetBase) {
+    async loadMobileNetBase(backboneId = DEFAULT_BACKBONE_ID) {
+        if (this.mobileNetBase && this.mobileNetBaseId === backboneId) {
             return this.mobileNetBase;
         }
 
-        // Load MobileNet
-        const mobilenet = await tf.loadLayersModel(
-            'https://storage.googleapis.com/tfjs-models/tfjs/mobilenet_v1_0.25_224/model.json'
-        );
-
-        // Get the layer before the final classification layer
-        const layer = mobilenet.getLayer('conv_pw_13_relu');
-        this.mobileNetBase = tf.model({
-            inputs: mobilenet.inputs,
-            outputs: layer.output
-        });
+        // A previous base the current model shares is released with that model instead
+        if (this.mobileNetBase && !this.model?.layers.includes(this.mobileNetBase)) {
+            this.disposeMobileNetBase();
+        }
+        const base = await backboneManager.loadBackbone(backboneId);
+        const [, height, width, channels] = base.inputs[0].shape;
+        if (height !== IMAGE_SIZE || width !== IMAGE_SIZE || channels !== 3) {
+            base.dispose();
+            throw new Error(`Backbone expects ${height}×${width}×${channels} input, but images are ${IMAGE_SIZE}×${IMAGE_SIZE}×3`);
+        }
+        this.mobileNetBase = base;
+        this.mobileNetBaseId = backboneId;
 
         // Freeze base model weights
         for (const layer of this.mobileNetBase.layers) {
@@ -91,112 +169,389 @@ class ModelManager {
     }
 
     /**
-     * Create a MobileNet transfer learning model
+     * Create a MobileNet transfer learning model. The feature extractor (backbone
+     * plus pooling) and the classification head are kept as separate models that
+     * share layers with the full model, so the head can be trained on cached features.
      */
-    async createMobileNetModel(numClasses) {
-        await this.loadMobileNetBase();
+    async createMobileNetModel(numClasses, backboneId) {
+        await this.loadMobileNetBase(backboneId);
 
-        // Create the classification head
         const input = tf.input({ shape: [IMAGE_SIZE, IMAGE_SIZE, 3] });
         const baseOutput = this.mobileNetBase.apply(input);
 
-        let x = tf.layers.globalAveragePooling2d().apply(baseOutput);
-        x = tf.layers.dropout({ rate: 0.5 }).apply(x);
+        // Custom backbones may be cut at a dense or flattened layer
+        let features = baseOutput;
+        if (baseOutput.shape.length === 4) {
+            features = tf.layers.globalAveragePooling2d().apply(features);
+        } else if (baseOutput.shape.length > 2) {
+            features = tf.layers.flatten().apply(features);
+        }
+        const featureExtractor = tf.model({ inputs: input, outputs: features });
+
+        // Create the classification head
+        const headInput = tf.input({ shape: [features.shape[1]] });
+        let x = tf.layers.dropout({ rate: 0.5 }).apply(headInput);
         x = tf.layers.dense({ units: 128, activation: 'relu' }).apply(x);
         x = tf.layers.dropout({ rate: 0.3 }).apply(x);
-        const output = tf.layers.dense({ units: numClasses, activation: 'softmax' }).apply(x);
+        const headOutput = tf.layers.dense({ units: numClasses, activation: 'softmax' }).apply(x);
+        const head = tf.model({ inputs: headInput, outputs: headOutput });
 
-        return tf.model({ inputs: input, outputs: output });
+        return { model: tf.model({ inputs: input, outputs: head.apply(features) }), featureExtractor, head };
     }
 
     /**
-     * Create model based on selected architecture
+     * Build a model for the selected architecture without replacing the current one.
+     * Transfer learning models come with their feature extractor and head.
      */
-    async createModel(architecture, numClasses) {
-        this.classLabels = [];
+    async buildModel(architecture, numClasses, { backbone = DEFAULT_BACKBONE_ID, layers = DEFAULT_ARCHITECTURE, input = {} } = {}) {
+        return architecture === 'mobilenet'
+            ? this.createMobileNetModel(numClasses, backbone)
+            : { model: this.createSimpleCNN(numClasses, layers, input), featureExtractor: null, head: null };
+    }
 
-        if (architecture === 'mobilenet') {
-            this.model = await this.createMobileNetModel(numClasses);
-        } else {
-            this.model = this.createSimpleCNN(numClasses);
+    /**
+     * Make a built model the current one. It is built before the old one goes,
+     * so a shared backbone stays alive.
+     */
+    installModel({ model, featureExtractor, head }) {
+        this.setModel(model);
+        this.modelId = null;
+        this.featureExtractor = featureExtractor;
+        this.head = head;
+    }
+
+    /**
+     * Dispose a built model that was not installed, keeping layers the current model shares
+     */
+    discardModel(model) {
+        const nested = disposeModel(model, this.model);
+        if (nested.includes(this.mobileNetBase) && !this.model?.layers.includes(this.mobileNetBase)) {
+            this.mobileNetBase = null;
+            this.mobileNetBaseId = null;
         }
+    }
 
-        return this.model;
+    /**
+     * Replace the in-memory model, disposing the previous one
+     */
+    setModel(model) {
+        const previous = this.model;
+        this.model = model;
+        if (!previous || previous === model) {
+            return;
+        }
+
+        const nested = disposeModel(previous, model);
+        if (nested.includes(this.mobileNetBase) && !model?.layers.includes(this.mobileNetBase)) {
+            this.mobileNetBase = null;
+            this.mobileNetBaseId = null;
+        }
     }
 
     /**
-     * Compile the model with specified learning rate
+     * Release the cached transfer learning base
      */
-    compileModel(learningRate) {
-        if (!this.model) {
+    disposeMobileNetBase() {
+        if (!this.mobileNetBase) {
+            return;
+        }
+        try {
+            this.mobileNetBase.dispose();
+        } catch {
+            // Already released along with the last model built on it
+        }
+        this.mobileNetBase = null;
+        this.mobileNetBaseId = null;
+    }
+
+    /**
+     * Compile the model (or one of its parts) with specified learning rate,
+     * using the optimizer chosen in the training parameters
+     */
+    compileModel(learningRate, model = this.model) {
+        if (!model) {
             throw new Error('Model not created');
         }
 
-        this.model.compile({
-            optimizer: tf.train.adam(learningRate),
+        const { optimizer = 'adam', momentum } = this.trainingParams || {};
+        model.optimizer?.dispose();
+        model.compile({
+            optimizer: createOptimizer(optimizer, learningRate, { momentum }),
             loss: 'categoricalCrossentropy',
             metrics: ['accuracy']
         });
     }
 
     /**
-     * Preprocess an image for training/inference
+     * Get the input size, channel count and preprocessing of the current model,
+     * from its training parameters
+     */
+    getInputConfig() {
+        const { imageSize = IMAGE_SIZE, channels = 3, preprocessing } = this.trainingParams || {};
+        return { imageSize, channels, ...DEFAULT_PREPROCESSING, ...preprocessing };
+    }
+
+    /**
+     * Check that a model takes images of the given size and channel count
+     */
+    checkInputShape(model, { imageSize, channels }) {
+        const [, height, width, modelChannels] = model.inputs[0].shape;
+        if (height !== imageSize || width !== imageSize || modelChannels !== channels) {
+            throw new Error(`The model expects ${height}×${width}×${modelChannels} input, not ${imageSize}×${imageSize}×${channels}`);
+        }
+    }
+
+    /**
+     * Preprocess an image for training/inference, by default for the current model's input
      */
-    preprocessImage(imageElement) {
+    preprocessImage(imageElement, config = this.getInputConfig()) {
+        return tf.tidy(() => this.normalizeInput(this.imageToTensor(imageElement, config), config));
+    }
+
+    /**
+     * Resize an image to the model input as a batch of one, with values from 0 to 1.
+     * Augmentation works on this range, so normalization is a separate step.
+     */
+    imageToTensor(imageElement, { imageSize, channels, resize = DEFAULT_PREPROCESSING.resize } = this.getInputConfig()) {
         return tf.tidy(() => {
             // Convert image to tensor
             let tensor = tf.browser.fromPixels(imageElement);
+            const [height, width] = tensor.shape;
 
-            // Resize to model input size
-            tensor = tf.image.resizeBilinear(tensor, [IMAGE_SIZE, IMAGE_SIZE]);
+            // Fit to model input size
+            if (resize === 'center-crop') {
+                const side = Math.min(height, width);
+                const top = Math.floor((height - side) / 2);
+                const left = Math.floor((width - side) / 2);
+                tensor = tensor.slice([top, left, 0], [side, side, 3]);
+                tensor = tf.image.resizeBilinear(tensor, [imageSize, imageSize]);
+            } else if (resize === 'letterbox') {
+                const scale = imageSize / Math.max(height, width);
+                const newHeight = Math.max(1, Math.round(height * scale));
+                const newWidth = Math.max(1, Math.round(width * scale));
+                const top = Math.floor((imageSize - newHeight) / 2);
+                const left = Math.floor((imageSize - newWidth) / 2);
+                tensor = tf.image.resizeBilinear(tensor, [newHeight, newWidth]);
+                tensor = tensor.pad([[top, imageSize - newHeight - top], [left, imageSize - newWidth - left], [0, 0]]);
+            } else {
+                tensor = tf.image.resizeBilinear(tensor, [imageSize, imageSize]);
+            }
 
-            // Normalize to [0, 1]
-            tensor = tensor.div(255.0);
+            if (channels === 1) {
+                tensor = tensor.mul(tf.tensor1d(GRAYSCALE_WEIGHTS)).sum(-1, true);
+            }
 
-            // Add batch dimension
-            return tensor.expandDims(0);
+            // Scale to [0, 1] and add batch dimension
+            return tensor.div(255.0).expandDims(0);
         });
     }
 
     /**
-     * Prepare training data from image data
+     * Normalize images with values from 0 to 1 for the model
      */
-    async prepareTrainingData(classesWithImages) {
-        const images = [];
-        const labels = [];
-        this.classLabels = [];
+    normalizeInput(images, { channels, normalization = DEFAULT_PREPROCESSING.normalization } = this.getInputConfig()) {
+        return tf.tidy(() => {
+            switch (normalization) {
+                case 'minus-one-one':
+                    return images.mul(2).sub(1);
+                case 'imagenet': {
+                    // Grayscale input uses the luminance of the channel statistics
+                    const toChannels = (stats) => channels === 1
+                        ? [stats.reduce((sum, value, i) => sum + value * GRAYSCALE_WEIGHTS[i], 0)]
+                        : stats;
+                    return images.sub(tf.tensor1d(toChannels(IMAGENET_MEAN))).div(tf.tensor1d(toChannels(IMAGENET_STD)));
+                }
+                default:
+                    return images;
+            }
+        });
+    }
 
-        let classIndex = 0;
-        for (const [classId, classData] of Object.entries(classesWithImages)) {
-            this.classLabels.push({ id: parseInt(classId), name: classData.name, index: classIndex });
+    /**
+     * Prepare the train, validation and test sample lists from the images store
+     * using each image's stored split assignment. Image data is not loaded here;
+     * createDataset reads it batch by batch during training.
+     *
+     * Pass classLabels to keep the label order of an existing model when
+     * continuing its training; the classes must be the same.
+     */
+    async prepareTrainingData(classes, classLabels = null) {
+        const imageIndex = await storage.getImageIndex();
+        const trainingData = {};
+        for (const split of SPLITS) {
+            trainingData[split] = [];
+        }
 
-            for (const imageData of classData.images) {
-                // Create an image element from the data URL
-                const img = await this.loadImage(imageData.data);
-                images.push(img);
-                labels.push(classIndex);
+        const hasImages = (cls) => imageIndex.some(img => img.classId === cls.id);
+        if (classLabels) {
+            const missing = classLabels.find(label => !classes.some(cls => cls.id === label.id));
+            if (missing) {
+                throw new Error(`Class "${missing.name}" no longer exists`);
+            }
+            const added = classes.find(cls => hasImages(cls) && !classLabels.some(label => label.id === cls.id));
+            if (added) {
+                throw new Error(`The model was trained without class "${added.name}"; start a new training run to add classes`);
             }
-            classIndex++;
+
+            // Pick up renamed classes
+            this.classLabels = classLabels.map(label => ({
+                ...label,
+                name: classes.find(cls => cls.id === label.id).name
+            }));
+        } else {
+            this.classLabels = classes.filter(hasImages).map((cls, index) => ({ id: cls.id, name: cls.name, index }));
         }
 
-        // Convert to tensors
-        const numClasses = this.classLabels.length;
-        const xs = tf.tidy(() => {
-            const tensors = images.map(img => this.preprocessImage(img).squeeze());
-            return tf.stack(tensors);
-        });
+        const labels = new Map(this.classLabels.map(label => [label.id, label.index]));
+        for (const img of imageIndex) {
+            if (!labels.has(img.classId)) continue;
 
-        const ys = tf.tidy(() => {
-            return tf.oneHot(tf.tensor1d(labels, 'int32'), numClasses);
-        });
+            // Unassigned images are treated as training data
+            const samples = trainingData[img.split] || trainingData.train;
+            samples.push({ id: img.id, label: labels.get(img.classId) });
+        }
+
+        if (trainingData.train.length === 0) {
+            throw new Error('No images assigned to the training split');
+        }
 
-        return { xs, ys, numClasses };
+        for (const split of SPLITS) {
+            if (trainingData[split].length === 0) {
+                trainingData[split] = null;
+            }
+        }
+        trainingData.numClasses = this.classLabels.length;
+
+        return trainingData;
+    }
+
+    /**
+     * Create a batched dataset that loads and preprocesses images from
+     * IndexedDB one batch at a time, optionally shuffling and augmenting them
+     */
+    createDataset(samples, numClasses, batchSize, { shuffle = false, augmentation = null } = {}) {
+        const order = [...samples];
+        const augment = isAugmentationEnabled(augmentation);
+
+        const batches = async function* () {
+            if (shuffle) {
+                tf.util.shuffle(order);
+            }
+
+            for (let start = 0; start < order.length; start += batchSize) {
+                const { samples: batch, images } = await this.loadSampleImages(order.slice(start, start + batchSize));
+                if (batch.length === 0) continue;
+
+                // Augmentation works on values from 0 to 1, so normalize afterwards
+                const xs = tf.tidy(() => {
+                    const batchImages = tf.concat(images.map(img => this.imageToTensor(img)));
+                    return this.normalizeInput(augment ? augmentBatch(batchImages, augmentation) : batchImages);
+                });
+                const ys = tf.tidy(() => tf.oneHot(tf.tensor1d(batch.map(sample => sample.label), 'int32'), numClasses));
+
+                yield { xs, ys };
+            }
+        }.bind(this);
+
+        return tf.data.generator(batches);
+    }
+
+    /**
+     * Get the key cached features are stored under. Features depend on the backbone
+     * and on how images are preprocessed for it.
+     */
+    getFeatureKey() {
+        const { resize, normalization } = this.getInputConfig();
+        // Features cached before preprocessing options existed keep their key
+        if (resize === DEFAULT_PREPROCESSING.resize && normalization === DEFAULT_PREPROCESSING.normalization) {
+            return this.mobileNetBaseId;
+        }
+        return `${this.mobileNetBaseId}:${resize}:${normalization}`;
+    }
+
+    /**
+     * Compute and store backbone features for samples that have none cached yet
+     */
+    async cacheFeatures(samples, batchSize, onProgress) {
+        const featureKey = this.getFeatureKey();
+        const cached = await storage.getEmbeddings(featureKey, samples.map(sample => sample.id));
+        const missing = samples.filter(sample => !cached.has(sample.id));
+
+        for (let start = 0; start < missing.length && !this.shouldStop; start += batchSize) {
+            const { samples: batch, images } = await this.loadSampleImages(missing.slice(start, start + batchSize));
+            if (batch.length > 0) {
+                const output = tf.tidy(() => this.featureExtractor.predict(tf.concat(images.map(img => this.preprocessImage(img)))));
+                const data = await output.data();
+                const size = output.shape[1];
+                output.dispose();
+
+                await storage.saveEmbeddings(featureKey, batch.map((sample, i) => ({
+                    imageId: sample.id,
+                    data: data.slice(i * size, (i + 1) * size)
+                })));
+            }
+
+            if (onProgress) {
+                onProgress(Math.min(start + batchSize, missing.length), missing.length);
+            }
+            await tf.nextFrame();
+        }
+
+        return missing.length;
+    }
+
+    /**
+     * Create a batched dataset of cached backbone features, read from IndexedDB one batch at a time
+     */
+    createFeatureDataset(samples, numClasses, batchSize, { shuffle = false } = {}) {
+        const order = [...samples];
+        const featureKey = this.getFeatureKey();
+
+        const batches = async function* () {
+            if (shuffle) {
+                tf.util.shuffle(order);
+            }
+
+            for (let start = 0; start < order.length; start += batchSize) {
+                const listed = order.slice(start, start + batchSize);
+                const features = await storage.getEmbeddings(featureKey, listed.map(sample => sample.id));
+                // Images deleted during training have no features
+                const batch = listed.filter(sample => features.has(sample.id));
+                if (batch.length === 0) continue;
+
+                const xs = tf.tidy(() => tf.stack(batch.map(sample => tf.tensor1d(features.get(sample.id)))));
+                const ys = tf.tidy(() => tf.oneHot(tf.tensor1d(batch.map(sample => sample.label), 'int32'), numClasses));
+
+                yield { xs, ys };
+            }
+        };
+
+        return tf.data.generator(batches);
+    }
+
+    /**
+     * Load the images of a batch of samples, leaving out images that were
+     * deleted after the samples were listed (e.g. while training runs)
+     */
+    async loadSampleImages(batch) {
+        const records = await storage.getImagesById(batch.map(sample => sample.id));
+        const samples = batch.filter((_, i) => records[i]);
+        const images = await Promise.all(records.filter(Boolean).map(record => this.loadImage(record.data)));
+        return { samples, images };
     }
 
     /**
      * Load an image from a data URL
      */
     loadImage(dataUrl) {
+        // Workers have no Image element
+        if (typeof Image === 'undefined') {
+            return fetch(dataUrl)
+                .then(response => response.blob())
+                .then(blob => createImageBitmap(blob))
+                .then(imageBitmapToData);
+        }
+
         return new Promise((resolve, reject) => {
             const img = new Image();
             img.onload = () => resolve(img);
@@ -206,77 +561,272 @@ class ModelManager {
     }
 
     /**
-     * Train the model
+     * Check a run against the memory budget, warning through the training callbacks.
+     * Returns the batch size to train with; throws when the run is refused.
+     */
+    async fitToMemoryBudget(model, { batchSize, optimizer }, callbacks) {
+        const guard = await getMemoryGuardSettings();
+        const fitted = fitMemoryBudget(model, { batchSize, optimizer }, guard);
+        if (fitted.batchSize !== batchSize || fitted.overBudget) {
+            const estimateMB = Math.ceil(fitted.estimate.total / (1024 * 1024));
+            const message = fitted.overBudget
+                ? `Training needs about ${estimateMB} MB, over the ${guard.budgetMB} MB memory budget`
+                : `Batch size reduced from ${batchSize} to ${fitted.batchSize} to stay within the ${guard.budgetMB} MB memory budget`;
+            console.warn(message);
+            if (callbacks.onMemoryWarning) {
+                callbacks.onMemoryWarning(message);
+            }
+        }
+        return fitted.batchSize;
+    }
+
+    /**
+     * Train the model. A new model is created unless training resumes from a
+     * checkpoint or continues the current model. A new model replaces the stored
+     * checkpoint unless keepCheckpoint is set.
      */
-    async train(trainingData, params, callbacks) {
-        const { xs, ys, numClasses } = trainingData;
-        const { learningRate, batchSize, epochs, architecture } = params;
+    async train(trainingData, params, callbacks, { checkpoint = null, continueModel = false, keepCheckpoint = false } = {}) {
+        const { train, validation, test, numClasses } = trainingData;
+        const {
+            learningRate, epochs, architecture,
+            backbone = null, layers = null, augmentation = null, cacheFeatures = false, fineTune = null,
+            checkpointEvery = 0, earlyStopping = null,
+            optimizer = 'adam', momentum = 0.9, lrSchedule = null
+        } = params;
+        let { batchSize } = params;
+
+        // Backbones are pretrained on full-size RGB images
+        const isTransfer = architecture === 'mobilenet';
+        const imageSize = isTransfer ? IMAGE_SIZE : params.imageSize ?? IMAGE_SIZE;
+        const channels = isTransfer ? 3 : params.channels ?? 3;
+        const preprocessing = { ...DEFAULT_PREPROCESSING, ...params.preprocessing };
+
+        const fineTuning = architecture === 'mobilenet' && fineTune?.enabled && fineTune.epochs > 0;
+        const totalEpochs = epochs + (fineTuning ? fineTune.epochs : 0);
+        const startEpoch = checkpoint ? checkpoint.epoch + 1 : 0;
+        const startedAt = Date.now();
+        let phase = checkpoint?.phase ?? 'head';
+
+        // Restored when the run is refused before training starts
+        const previousState = {
+            trainingParams: this.trainingParams,
+            finalMetrics: this.finalMetrics,
+            testMetrics: this.testMetrics,
+            history: this.history,
+            phases: this.phases
+        };
+        let started = false;
 
         this.isTraining = true;
         this.isPaused = false;
         this.shouldStop = false;
-        this.currentEpoch = 0;
+        this.currentEpoch = startEpoch;
         this.trainingCallbacks = callbacks;
+        this.trainingParams = {
+            learningRate, batchSize, epochs, architecture, backbone, layers,
+            augmentation, cacheFeatures, fineTune, checkpointEvery, earlyStopping,
+            optimizer, momentum, lrSchedule, imageSize, channels, preprocessing
+        };
+        this.finalMetrics = null;
+        this.testMetrics = null;
+        this.history = checkpoint ? [...checkpoint.history] : [];
+        this.phases = checkpoint ? [...checkpoint.phases] : [];
+        this.lastTrainedModel = null;
+        this.stoppedEarly = false;
+
+        // Validation metrics can only be monitored when there is validation data
+        this.earlyStopping = null;
+        if (earlyStopping?.enabled) {
+            const monitor = validation ? earlyStopping.monitor : earlyStopping.monitor.replace(/^val_/, '');
+            this.earlyStopping = new EarlyStopping({ ...earlyStopping, monitor });
+
+            // Replay the epochs before a resume so the best value and patience carry over
+            const fineTuneStart = this.phases.find(entry => entry.phase === 'fine-tune')?.epoch;
+            for (const entry of this.history.filter(entry => entry.epoch < startEpoch)) {
+                if (entry.epoch === fineTuneStart) {
+                    this.earlyStopping.resetPatience();
+                }
+                this.earlyStopping.update(entry.epoch, entry);
+            }
+        }
+
+        // Each phase gets its own schedule starting from that phase's base learning rate.
+        // Epochs already trained in the phase are replayed so reduce-on-plateau picks up where it was.
+        const createSchedule = (baseLearningRate, phaseStart, phaseEpochs) => {
+            const schedule = new LearningRateSchedule(lrSchedule, baseLearningRate, phaseEpochs);
+            this.history
+                .filter(entry => entry.epoch >= phaseStart && entry.epoch < startEpoch)
+                .forEach(entry => schedule.update(entry));
+            return schedule;
+        };
 
         try {
-            // Create and compile model
-            await this.createModel(architecture, numClasses);
-            this.compileModel(learningRate);
+            // Create and compile model. A new model is checked against the memory budget
+            // before it replaces the current one, so a refused run leaves everything as it was.
+            const isNewModel = !checkpoint && !continueModel;
+            let useFeatures = false;
+            if (isNewModel) {
+                const built = await this.buildModel(architecture, numClasses, {
+                    backbone: backbone || DEFAULT_BACKBONE_ID,
+                    layers: layers || DEFAULT_ARCHITECTURE,
+                    input: { imageSize, channels }
+                });
+
+                // Augmented images change every epoch, so their features cannot be cached.
+                // The separate head only exists for a model created in this run.
+                useFeatures = cacheFeatures && built.head !== null && !isAugmentationEnabled(augmentation);
+                try {
+                    batchSize = await this.fitToMemoryBudget(useFeatures && !fineTuning ? built.head : built.model, { batchSize, optimizer }, callbacks);
+                } catch (error) {
+                    this.discardModel(built.model);
+                    throw error;
+                }
 
-            // Calculate total batches
-            const numSamples = xs.shape[0];
-            const totalBatches = Math.ceil(numSamples / batchSize);
+                if (!keepCheckpoint) {
+                    await this.deleteCheckpoint();
+                }
+                this.installModel(built);
+            } else if (!this.model) {
+                throw new Error('No model to continue training');
+            } else if (this.model.outputs[0].shape[1] !== numClasses) {
+                throw new Error('The number of classes does not match the model');
+            } else {
+                this.checkInputShape(this.model, { imageSize, channels });
+                batchSize = await this.fitToMemoryBudget(this.model, { batchSize, optimizer }, callbacks);
+            }
+            this.trainingParams.batchSize = batchSize;
+            started = true;
+            this.compileModel(phase === 'fine-tune' ? fineTune.learningRate : learningRate);
 
-            // Training loop with pause/stop support
-            for (let epoch = 0; epoch < epochs && !this.shouldStop; epoch++) {
-                this.currentEpoch = epoch;
+            if (checkpoint && !await this.restoreOptimizer(this.model, checkpoint.optimizer)) {
+                console.warn('Optimizer state could not be restored; continuing with a fresh optimizer');
+            }
 
-                // Wait while paused
-                while (this.isPaused && !this.shouldStop) {
-                    await new Promise(resolve => setTimeout(resolve, 100));
+            if (useFeatures) {
+                this.compileModel(learningRate, this.head);
+                await this.cacheFeatures([...train, ...(validation || []), ...(test || [])], batchSize, callbacks.onFeatureProgress);
+            }
+
+            // Stream batches from IndexedDB instead of holding every image in memory
+            // Augmentation is applied to training batches only
+            const createDatasets = () => useFeatures
+                ? {
+                    trainDataset: this.createFeatureDataset(train, numClasses, batchSize, { shuffle: true }),
+                    validationDataset: validation ? this.createFeatureDataset(validation, numClasses, batchSize) : undefined
                 }
+                : {
+                    trainDataset: this.createDataset(train, numClasses, batchSize, { shuffle: true, augmentation }),
+                    validationDataset: validation ? this.createDataset(validation, numClasses, batchSize) : undefined
+                };
 
-                if (this.shouldStop) break;
-
-                // Train one epoch
-                const history = await this.model.fit(xs, ys, {
-                    batchSize,
-                    epochs: 1,
-                    shuffle: true,
-                    validationSplit: 0.2,
-                    callbacks: {
-                        onBatchEnd: async (batch, logs) => {
-                            if (callbacks.onBatchEnd) {
-                                callbacks.onBatchEnd(batch, totalBatches, logs);
-                            }
-                            // Allow UI updates
-                            await tf.nextFrame();
-                        }
+            // Phase 1: train the head (or the whole simple CNN)
+            if (phase === 'head') {
+                await this.runEpochs(useFeatures ? this.head : this.model, createDatasets(), {
+                    startEpoch,
+                    endEpoch: epochs,
+                    totalEpochs,
+                    numSamples: train.length,
+                    phase,
+                    schedule: createSchedule(learningRate, 0, epochs),
+                    phaseStart: 0
+                });
+            }
+
+            // Phase 2: unfreeze the top of the backbone and continue at a lower learning rate
+            if (fineTuning && !this.shouldStop && !this.stoppedEarly) {
+                if (phase !== 'fine-tune') {
+                    phase = 'fine-tune';
+                    const unfrozen = this.unfreezeTopLayers(fineTune.layers);
+                    this.compileModel(fineTune.learningRate);
+                    this.phases.push({ epoch: epochs, phase });
+                    this.earlyStopping?.resetPatience();
+
+                    // Backbone features change from here on, so cached features no longer apply
+                    useFeatures = false;
+                    if (callbacks.onPhaseChange) {
+                        callbacks.onPhaseChange(phase, { epoch: epochs, unfrozenLayers: unfrozen });
                     }
+                }
+
+                await this.runEpochs(this.model, createDatasets(), {
+                    startEpoch: Math.max(startEpoch, epochs),
+                    endEpoch: totalEpochs,
+                    totalEpochs,
+                    numSamples: train.length,
+                    phase,
+                    schedule: createSchedule(fineTune.learningRate, epochs, fineTune.epochs),
+                    phaseStart: epochs
                 });
+            }
+
+            // Keep a checkpoint to resume from when stopped, and drop it once training is done
+            if (this.shouldStop) {
+                if (checkpointEvery > 0 && this.lastTrainedModel && this.history.length > 0) {
+                    await this.saveCheckpoint(this.lastTrainedModel, phase);
+                }
+            } else {
+                await this.deleteCheckpoint();
+            }
 
-                // Report epoch end
-                if (callbacks.onEpochEnd) {
-                    // TensorFlow.js may use 'acc' or 'accuracy' depending on version
-                    const acc = history.history.acc?.[0] ?? history.history.accuracy?.[0];
-                    const val_acc = history.history.val_acc?.[0] ?? history.history.val_accuracy?.[0];
-                    callbacks.onEpochEnd(epoch, epochs, {
-                        loss: history.history.loss[0],
-                        acc: acc,
-                        val_loss: history.history.val_loss?.[0],
-                        val_acc: val_acc
-                    });
+            // Keep the best epoch's weights instead of the last epoch's
+            let stopReason = this.shouldStop ? 'Stopped by user' : 'Completed all epochs';
+            let restoredEpoch = null;
+            if (this.earlyStopping && !this.shouldStop) {
+                const { bestEpoch } = this.earlyStopping;
+                const lastEpoch = this.history[this.history.length - 1]?.epoch;
+                if (bestEpoch !== null && bestEpoch !== lastEpoch && this.earlyStopping.restore(this.model)) {
+                    restoredEpoch = bestEpoch;
+                    const { epoch, lr, ...metrics } = this.history.find(entry => entry.epoch === bestEpoch);
+                    this.finalMetrics = metrics;
                 }
+                if (this.stoppedEarly) {
+                    stopReason = `Stopped early at epoch ${lastEpoch + 1}: ${this.earlyStopping.describe()}`;
+                }
+            }
+            this.earlyStopping?.dispose();
+
+            // Final evaluation on the held-out test set
+            if (!this.shouldStop && test) {
+                this.testMetrics = await this.evaluate(test, batchSize, { useFeatures });
+            }
+
+            // Per-class report on the test set, or the validation set when there is none
+            const heldOut = test ? { split: 'test', samples: test } : validation ? { split: 'validation', samples: validation } : null;
+            let report = null;
+            if (!this.shouldStop && heldOut) {
+                report = await this.evaluateClassification(heldOut.samples, batchSize, { useFeatures });
+                report.split = heldOut.split;
             }
 
+            const runId = await this.recordRun(trainingData, {
+                startedAt,
+                completed: !this.shouldStop,
+                stopReason,
+                report,
+                resumed: Boolean(checkpoint) || continueModel
+            });
+
             this.isTraining = false;
             if (callbacks.onTrainingEnd) {
-                callbacks.onTrainingEnd(!this.shouldStop);
+                callbacks.onTrainingEnd(!this.shouldStop, {
+                    testMetrics: this.testMetrics,
+                    report,
+                    finalMetrics: this.finalMetrics,
+                    stopReason,
+                    stoppedEarly: this.stoppedEarly,
+                    bestEpoch: this.earlyStopping?.bestEpoch ?? null,
+                    restoredEpoch,
+                    runId
+                });
             }
 
             return !this.shouldStop;
         } catch (error) {
             this.isTraining = false;
+            this.earlyStopping?.dispose();
+            if (!started) {
+                Object.assign(this, previousState);
+            }
             if (callbacks.onTrainingError) {
                 callbacks.onTrainingError(error);
             }
@@ -284,6 +834,357 @@ class ModelManager {
         }
     }
 
+    /**
+     * Store a finished or stopped run in the run history. Returns the run id,
+     * or null if it could not be stored; training results are not affected.
+     */
+    async recordRun({ train, validation, test }, { startedAt, completed, stopReason, report, resumed }) {
+        const count = (samples, index) => (samples || []).filter(sample => sample.label === index).length;
+        const finishedAt = Date.now();
+
+        const run = {
+            startedAt,
+            finishedAt,
+            duration: finishedAt - startedAt,
+            completed,
+            stopReason,
+            resumed,
+            params: this.trainingParams,
+            dataset: {
+                classes: this.classLabels.map(({ name, index }) => ({
+                    name,
+                    train: count(train, index),
+                    validation: count(validation, index),
+                    test: count(test, index)
+                })),
+                train: train.length,
+                validation: validation?.length ?? 0,
+                test: test?.length ?? 0
+            },
+            history: this.history,
+            phases: this.phases,
+            finalMetrics: this.finalMetrics,
+            testMetrics: this.testMetrics,
+            // Per-image predictions are left out to keep runs small
+            evaluation: report ? {
+                split: report.split,
+                accuracy: report.accuracy,
+                macro: report.macro,
+                matrix: report.matrix,
+                classMetrics: report.classMetrics
+            } : null
+        };
+
+        try {
+            return await storage.addRun(run);
+        } catch (error) {
+            console.warn('Could not save training run:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Resume training from the stored checkpoint
+     */
+    async resumeFromCheckpoint(trainingData, callbacks) {
+        const checkpoint = await storage.getCheckpoint();
+        if (!checkpoint) {
+            throw new Error('No checkpoint to resume from');
+        }
+
+        this.setModel(await tf.loadLayersModel(CHECKPOINT_URL));
+        this.modelId = checkpoint.modelId;
+
+        return this.train(trainingData, checkpoint.params, callbacks, { checkpoint });
+    }
+
+    /**
+     * Keep training the current model, e.g. a loaded model on newly added images
+     */
+    async continueTraining(trainingData, params, callbacks) {
+        return this.train(trainingData, params, callbacks, { continueModel: true });
+    }
+
+    /**
+     * Run training epochs [startEpoch, endEpoch) with pause/stop support.
+     * The schedule sets the learning rate before each epoch, counted from phaseStart.
+     */
+    async runEpochs(model, { trainDataset, validationDataset }, { startEpoch, endEpoch, totalEpochs, numSamples, phase, schedule, phaseStart }) {
+        const callbacks = this.trainingCallbacks;
+        const { batchSize, checkpointEvery } = this.trainingParams;
+        const totalBatches = Math.ceil(numSamples / batchSize);
+        const leakDetector = new TensorLeakDetector();
+        this.lastTrainedModel = model;
+
+        for (let epoch = startEpoch; epoch < endEpoch && !this.shouldStop && !this.stoppedEarly; epoch++) {
+            this.currentEpoch = epoch;
+
+            // Wait while paused
+            while (this.isPaused && !this.shouldStop) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
+
+            if (this.shouldStop) break;
+
+            const lr = schedule.getRate(epoch - phaseStart);
+            setLearningRate(model.optimizer, lr);
+
+            // Train one epoch
+            const history = await model.fitDataset(trainDataset, {
+                epochs: 1,
+                validationData: validationDataset,
+                callbacks: {
+                    onBatchEnd: async (batch, logs) => {
+                        if (callbacks.onBatchEnd) {
+                            callbacks.onBatchEnd(batch, totalBatches, logs, epoch);
+                        }
+                        // Allow UI updates
+                        await tf.nextFrame();
+                    }
+                }
+            });
+
+            // TensorFlow.js may use 'acc' or 'accuracy' depending on version
+            const acc = history.history.acc?.[0] ?? history.history.accuracy?.[0];
+            const val_acc = history.history.val_acc?.[0] ?? history.history.val_accuracy?.[0];
+            this.finalMetrics = {
+                loss: history.history.loss[0],
+                acc: acc,
+                val_loss: history.history.val_loss?.[0],
+                val_acc: val_acc
+            };
+            this.history.push({ epoch, ...this.finalMetrics, lr });
+            schedule.update(this.finalMetrics);
+
+            // Report epoch end
+            if (callbacks.onEpochEnd) {
+                callbacks.onEpochEnd(epoch, totalEpochs, { ...this.finalMetrics, lr });
+            }
+
+            if (checkpointEvery > 0 && (epoch + 1) % checkpointEvery === 0) {
+                await this.saveCheckpoint(model, phase);
+            }
+
+            if (this.earlyStopping?.update(epoch, this.finalMetrics, this.model)) {
+                this.stoppedEarly = true;
+            }
+
+            const growth = leakDetector.update();
+            if (growth > 0) {
+                const message = `Tensor count grew by ${growth} during epoch ${epoch + 1}; memory may be leaking`;
+                console.warn(message, tf.memory());
+                if (callbacks.onMemoryWarning) {
+                    callbacks.onMemoryWarning(message);
+                }
+            }
+        }
+    }
+
+    /**
+     * Get the nested backbone of the current transfer learning model
+     */
+    getBackbone() {
+        // The backbone is the first nested model; the head comes after it
+        return this.model?.layers.find(layer => layer instanceof tf.LayersModel) ?? null;
+    }
+
+    /**
+     * Make the top N weighted backbone layers trainable. Batch normalization
+     * layers stay frozen so their statistics are not disturbed by small batches.
+     */
+    unfreezeTopLayers(count) {
+        const candidates = this.getBackbone().layers.filter(layer =>
+            layer.weights.length > 0 && layer.getClassName() !== 'BatchNormalization'
+        );
+        const unfrozen = candidates.slice(Math.max(0, candidates.length - count));
+        for (const layer of unfrozen) {
+            layer.trainable = true;
+        }
+
+        // The shared base now holds fine-tuned weights, so reload it for the next model
+        this.mobileNetBaseId = null;
+
+        return unfrozen.map(layer => layer.name);
+    }
+
+    /**
+     * Save model weights, optimizer state, epoch and metric history so training can resume.
+     * trainedModel is the model being fitted, which owns the optimizer.
+     */
+    async saveCheckpoint(trainedModel, phase) {
+        await this.model.save(CHECKPOINT_URL);
+
+        const weights = await trainedModel.optimizer.getWeights();
+        const optimizerWeights = await Promise.all(weights.map(async ({ name, tensor }) => ({
+            name,
+            shape: tensor.shape,
+            dtype: tensor.dtype,
+            data: await tensor.data()
+        })));
+        // The iteration count is a new tensor; the rest are the optimizer's own variables
+        weights[0].tensor.dispose();
+
+        await storage.saveCheckpoint({
+            epoch: this.history[this.history.length - 1].epoch,
+            totalEpochs: this.trainingParams.epochs +
+                (this.trainingParams.fineTune?.enabled ? this.trainingParams.fineTune.epochs : 0),
+            phase,
+            params: this.trainingParams,
+            classLabels: this.classLabels,
+            modelId: this.modelId,
+            history: this.history,
+            phases: this.phases,
+            optimizer: {
+                className: trainedModel.optimizer.getClassName(),
+                weights: optimizerWeights
+            }
+        });
+    }
+
+    /**
+     * Load saved optimizer state into a compiled model's optimizer. The state holds
+     * one slot per trainable weight for each accumulator, in trainable weight order.
+     */
+    async restoreOptimizer(model, saved) {
+        const optimizer = model.optimizer;
+        if (!saved || saved.className !== optimizer.getClassName()) {
+            return false;
+        }
+
+        // The first entry is the iteration count
+        const slots = saved.weights.slice(1);
+        const trainable = model.trainableWeights;
+        const matches = trainable.length > 0 && slots.length % trainable.length === 0 &&
+            slots.every((slot, i) => tf.util.arraysEqual(slot.shape, trainable[i % trainable.length].shape));
+        if (!matches) {
+            return false;
+        }
+
+        const namedTensors = saved.weights.map(({ name, shape, dtype, data }) => ({
+            name,
+            tensor: tf.tensor(data, shape, dtype)
+        }));
+        try {
+            await optimizer.setWeights(namedTensors);
+            return true;
+        } finally {
+            tf.dispose(namedTensors.map(({ tensor }) => tensor));
+        }
+    }
+
+    /**
+     * Get the stored checkpoint summary, without the optimizer state
+     */
+    async getCheckpoint() {
+        const checkpoint = await storage.getCheckpoint();
+        if (!checkpoint) {
+            return null;
+        }
+
+        const { optimizer, ...summary } = checkpoint;
+        return summary;
+    }
+
+    /**
+     * Delete the stored checkpoint and its weights
+     */
+    async deleteCheckpoint() {
+        await storage.deleteCheckpoint();
+        try {
+            await tf.io.removeModel(CHECKPOINT_URL);
+        } catch {
+            // No checkpoint weights stored
+        }
+    }
+
+    /**
+     * Evaluate loss and accuracy on a list of labelled image samples
+     */
+    async evaluate(samples, batchSize = 32, { useFeatures = false } = {}) {
+        const numClasses = this.classLabels.length;
+        const dataset = useFeatures
+            ? this.createFeatureDataset(samples, numClasses, batchSize)
+            : this.createDataset(samples, numClasses, batchSize);
+        const model = useFeatures ? this.head : this.model;
+        const [lossTensor, accTensor] = await model.evaluateDataset(dataset);
+        const loss = (await lossTensor.data())[0];
+        const acc = (await accTensor.data())[0];
+        tf.dispose([lossTensor, accTensor]);
+
+        return { loss, acc, numSamples: samples.length };
+    }
+
+    /**
+     * Predict every sample and build a confusion matrix and per-class metrics
+     */
+    async evaluateClassification(samples, batchSize = 32, options = {}) {
+        const predictions = await this.predictSamples(samples, batchSize, options);
+        return buildClassificationReport(predictions, this.classLabels);
+    }
+
+    /**
+     * Predict labelled samples from the images store in batches
+     */
+    async predictSamples(samples, batchSize = 32, { useFeatures = false } = {}) {
+        if (!this.model) {
+            throw new Error('Model not trained');
+        }
+
+        const results = [];
+        for (let start = 0; start < samples.length; start += batchSize) {
+            let batch = samples.slice(start, start + batchSize);
+            let output;
+            if (useFeatures) {
+                const features = await storage.getEmbeddings(this.getFeatureKey(), batch.map(sample => sample.id));
+                batch = batch.filter(sample => features.has(sample.id));
+                if (batch.length === 0) continue;
+                output = tf.tidy(() => this.head.predict(tf.stack(batch.map(sample => tf.tensor1d(features.get(sample.id))))));
+            } else {
+                const loaded = await this.loadSampleImages(batch);
+                batch = loaded.samples;
+                if (batch.length === 0) continue;
+                output = tf.tidy(() => this.model.predict(tf.concat(loaded.images.map(img => this.preprocessImage(img)))));
+            }
+
+            const probabilities = await output.array();
+            output.dispose();
+
+            batch.forEach((sample, i) => {
+                const probs = probabilities[i];
+                const predicted = probs.indexOf(Math.max(...probs));
+                results.push({
+                    id: sample.id,
+                    label: sample.label,
+                    predicted,
+                    confidence: probs[predicted]
+                });
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Get the stored held-out samples for the current model's classes:
+     * the test split, or the validation split when the test split is empty
+     */
+    async getHeldOutSamples() {
+        const imageIndex = await storage.getImageIndex();
+        const labels = new Map(this.classLabels.map(cls => [cls.id, cls.index]));
+        const labelled = imageIndex.filter(img => labels.has(img.classId));
+
+        for (const split of ['test', 'validation']) {
+            const samples = labelled
+                .filter(img => img.split === split)
+                .map(img => ({ id: img.id, label: labels.get(img.classId) }));
+            if (samples.length > 0) {
+                return { split, samples };
+            }
+        }
+
+        return null;
+    }
+
     /**
      * Pause training
      */
@@ -314,68 +1215,362 @@ class ModelManager {
             throw new Error('Model not trained');
         }
 
-        return tf.tidy(() => {
+        return trackTensors('Prediction', () => tf.tidy(() => {
             const tensor = this.preprocessImage(imageElement);
             const predictions = this.model.predict(tensor);
-            const probabilities = predictions.dataSync();
+            return this.formatPrediction(predictions.dataSync());
+        }));
+    }
+
+    /**
+     * Make predictions on many images, running the model in batches
+     */
+    async predictImages(imageElements, batchSize = 32) {
+        if (!this.model) {
+            throw new Error('Model not trained');
+        }
 
-            return this.classLabels.map((cls, i) => ({
-                classId: cls.id,
-                className: cls.name,
-                probability: probabilities[i]
-            })).sort((a, b) => b.probability - a.probability);
+        return trackTensors('Batch prediction', async () => {
+            const results = [];
+            for (let start = 0; start < imageElements.length; start += batchSize) {
+                const batch = imageElements.slice(start, start + batchSize);
+                const output = tf.tidy(() => this.model.predict(tf.concat(batch.map(img => this.preprocessImage(img)))));
+                const probabilities = await output.array();
+                output.dispose();
+
+                results.push(...probabilities.map(probs => this.formatPrediction(probs)));
+            }
+
+            return results;
         });
     }
 
     /**
-     * Save the model to IndexedDB
+     * Pair class probabilities with their labels, most likely first
+     */
+    formatPrediction(probabilities) {
+        return this.classLabels.map((cls, i) => ({
+            classId: cls.id,
+            className: cls.name,
+            probability: probabilities[i]
+        })).sort((a, b) => b.probability - a.probability);
+    }
+
+    /**
+     * Derive a registry id from a user-chosen model name
      */
-    async saveModel() {
+    getModelId(name) {
+        const id = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'model';
+        // The legacy id is reserved for the model migrated from the single-model store
+        return id === LEGACY_MODEL_ID ? `${id}-model` : id;
+    }
+
+    /**
+     * Get the IndexedDB URL holding a saved model's weights
+     */
+    getModelUrl(modelId) {
+        // Models saved before the registry existed live at the bare prefix
+        if (modelId === LEGACY_MODEL_ID) {
+            return MODEL_STORAGE_PREFIX;
+        }
+        return `${MODEL_STORAGE_PREFIX}/${modelId}`;
+    }
+
+    /**
+     * Save the model to IndexedDB under the given name
+     */
+    async saveModel(name) {
         if (!this.model) {
             throw new Error('No model to save');
         }
 
-        await this.model.save('indexeddb://image-classifier-model');
+        const id = this.getModelId(name);
+        await this.model.save(this.getModelUrl(id));
+        this.modelId = id;
+
+        return this.getModelInfo(name);
+    }
 
+    /**
+     * Describe the current model for the registry and exported bundles
+     */
+    getModelInfo(name) {
+        const params = this.trainingParams || {};
+        const { imageSize, channels, resize, normalization } = this.getInputConfig();
         return {
+            id: this.getModelId(name),
+            name: name.trim(),
             classLabels: this.classLabels,
+            imageSize,
+            preprocessing: { resize, normalization, channels },
+            architecture: params.architecture ?? null,
+            backbone: params.backbone ?? null,
+            layers: params.layers ?? null,
+            hyperparameters: {
+                learningRate: params.learningRate ?? null,
+                batchSize: params.batchSize ?? null,
+                epochs: params.epochs ?? null,
+                augmentation: params.augmentation ?? null,
+                optimizer: params.optimizer ?? null,
+                lrSchedule: params.lrSchedule ?? null
+            },
+            finalAccuracy: this.finalMetrics?.acc ?? null,
+            testAccuracy: this.testMetrics?.acc ?? null,
             savedAt: Date.now()
         };
     }
 
+    /**
+     * Read the resize mode and normalization from saved metadata, accepting legacy names
+     */
+    readPreprocessing(saved) {
+        const resize = LEGACY_PREPROCESSING[saved?.resize] ?? saved?.resize;
+        const normalization = LEGACY_PREPROCESSING[saved?.normalization] ?? saved?.normalization;
+        if (resize && !RESIZE_MODES[resize]) {
+            throw new Error(`Unsupported resize mode "${resize}"`);
+        }
+        if (normalization && !NORMALIZATIONS[normalization]) {
+            throw new Error(`Unsupported normalization "${normalization}"`);
+        }
+        return {
+            resize: resize ?? DEFAULT_PREPROCESSING.resize,
+            normalization: normalization ?? DEFAULT_PREPROCESSING.normalization
+        };
+    }
+
+    /**
+     * Restore class labels and training info from saved model info
+     */
+    applyModelInfo(modelInfo) {
+        this.classLabels = modelInfo.classLabels || [];
+        this.trainingParams = {
+            architecture: modelInfo.architecture,
+            backbone: modelInfo.backbone ?? null,
+            layers: modelInfo.layers ?? null,
+            ...modelInfo.hyperparameters,
+            // Models saved before input options existed are 224×224 RGB
+            imageSize: modelInfo.imageSize ?? IMAGE_SIZE,
+            channels: modelInfo.preprocessing?.channels ?? 3,
+            preprocessing: this.readPreprocessing(modelInfo.preprocessing)
+        };
+        this.finalMetrics = modelInfo.finalAccuracy != null ? { acc: modelInfo.finalAccuracy } : null;
+        this.testMetrics = modelInfo.testAccuracy != null ? { acc: modelInfo.testAccuracy } : null;
+    }
+
     /**
      * Load a model from IndexedDB
      */
     async loadModel(modelInfo) {
-        this.model = await tf.loadLayersModel('indexeddb://image-classifier-model');
-        this.classLabels = modelInfo.classLabels || [];
+        const model = await tf.loadLayersModel(this.getModelUrl(modelInfo.id));
+        try {
+            this.checkInputShape(model, {
+                imageSize: modelInfo.imageSize ?? IMAGE_SIZE,
+                channels: modelInfo.preprocessing?.channels ?? 3
+            });
+        } catch (error) {
+            model.dispose();
+            throw error;
+        }
+
+        this.setModel(model);
+        this.modelId = modelInfo.id;
+        this.applyModelInfo(modelInfo);
 
         return this.model;
     }
 
+    /**
+     * Export the model, its weight shards and metadata as a zip archive
+     */
+    async exportModel(name) {
+        if (!this.model) {
+            throw new Error('No model to export');
+        }
+
+        let artifacts;
+        await this.model.save(tf.io.withSaveHandler(async (modelArtifacts) => {
+            artifacts = modelArtifacts;
+            return { modelArtifactsInfo: tf.io.getModelArtifactsInfoForJSON(modelArtifacts) };
+        }));
+
+        const weightData = Array.isArray(artifacts.weightData)
+            ? tf.io.concatenateArrayBuffers(artifacts.weightData)
+            : artifacts.weightData;
+
+        // Split weights into shards the same way the tfjs converter does
+        const numShards = Math.max(1, Math.ceil(weightData.byteLength / WEIGHT_SHARD_BYTES));
+        const shardNames = [];
+        const zip = new JSZip();
+
+        for (let i = 0; i < numShards; i++) {
+            const shardName = `group1-shard${i + 1}of${numShards}.bin`;
+            shardNames.push(shardName);
+            zip.file(shardName, weightData.slice(i * WEIGHT_SHARD_BYTES, (i + 1) * WEIGHT_SHARD_BYTES));
+        }
+
+        zip.file('model.json', JSON.stringify({
+            modelTopology: artifacts.modelTopology,
+            format: artifacts.format,
+            generatedBy: artifacts.generatedBy,
+            convertedBy: artifacts.convertedBy,
+            weightsManifest: [{ paths: shardNames, weights: artifacts.weightSpecs }]
+        }));
+
+        const { id, savedAt, ...info } = this.getModelInfo(name);
+        zip.file('metadata.json', JSON.stringify({
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            ...info,
+            exportedAt: Date.now()
+        }, null, 2));
+
+        return zip.generateAsync({ type: 'blob' });
+    }
+
+    /**
+     * Import a model from a zip bundle or loose model.json, weight and metadata files
+     */
+    async importModel(files) {
+        const entries = await this.readBundleFiles(files);
+
+        const modelJsonFile = entries.get('model.json');
+        const metadataFile = entries.get('metadata.json');
+        if (!modelJsonFile) {
+            throw new Error('Bundle is missing model.json');
+        }
+        if (!metadataFile) {
+            throw new Error('Bundle is missing metadata.json');
+        }
+
+        const modelJson = JSON.parse(await modelJsonFile.text());
+        const metadata = JSON.parse(await metadataFile.text());
+
+        // Reassemble the weight shards in manifest order
+        const weightSpecs = [];
+        const buffers = [];
+        for (const group of modelJson.weightsManifest) {
+            weightSpecs.push(...group.weights);
+            for (const path of group.paths) {
+                const shard = entries.get(path.split('/').pop());
+                if (!shard) {
+                    throw new Error(`Bundle is missing weight file "${path}"`);
+                }
+                buffers.push(await shard.arrayBuffer());
+            }
+        }
+
+        const model = await tf.loadLayersModel(tf.io.fromMemory({
+            modelTopology: modelJson.modelTopology,
+            weightSpecs,
+            weightData: tf.io.concatenateArrayBuffers(buffers)
+        }));
+        try {
+            this.checkInputShape(model, {
+                imageSize: metadata.imageSize ?? IMAGE_SIZE,
+                channels: metadata.preprocessing?.channels ?? 3
+            });
+            this.readPreprocessing(metadata.preprocessing);
+        } catch (error) {
+            model.dispose();
+            throw error;
+        }
+
+        this.setModel(model);
+        this.modelId = null;
+        this.applyModelInfo(metadata);
+
+        return metadata;
+    }
+
+    /**
+     * Collect bundle files by name from a zip archive or loose files
+     */
+    async readBundleFiles(files) {
+        const entries = new Map();
+
+        for (const file of files) {
+            if (file.name.toLowerCase().endsWith('.zip')) {
+                const zip = await JSZip.loadAsync(file);
+                for (const entry of Object.values(zip.files)) {
+                    if (!entry.dir) {
+                        entries.set(entry.name.split('/').pop(), await entry.async('blob'));
+                    }
+                }
+            } else {
+                entries.set(file.name, file);
+            }
+        }
+
+        return entries;
+    }
+
     /**
      * Check if a saved model exists
      */
-    async hasSavedModel() {
+    async hasSavedModel(modelId) {
         try {
             const models = await tf.io.listModels();
-            return 'indexeddb://image-classifier-model' in models;
+            return this.getModelUrl(modelId) in models;
         } catch {
             return false;
         }
     }
 
     /**
-     * Delete saved model
+     * Delete a saved model
      */
-    async deleteModel() {
+    async deleteModel(modelId) {
         try {
-            await tf.io.removeModel('indexeddb://image-classifier-model');
+            await tf.io.removeModel(this.getModelUrl(modelId));
         } catch {
             // Model might not exist
         }
-        this.model = null;
+
+        if (this.modelId === modelId) {
+            this.modelId = null;
+        }
+    }
+
+    /**
+     * Discard the in-memory model
+     */
+    resetModel() {
+        this.setModel(null);
+        this.modelId = null;
+        this.featureExtractor = null;
+        this.head = null;
         this.classLabels = [];
+        this.trainingParams = null;
+        this.finalMetrics = null;
+        this.testMetrics = null;
+        this.history = [];
+        this.phases = [];
+    }
+
+    /**
+     * Get the state a training run leaves behind, apart from the model itself
+     */
+    getTrainingState() {
+        return {
+            modelId: this.modelId,
+            classLabels: this.classLabels,
+            trainingParams: this.trainingParams,
+            finalMetrics: this.finalMetrics,
+            testMetrics: this.testMetrics,
+            history: this.history,
+            phases: this.phases,
+            stoppedEarly: this.stoppedEarly
+        };
+    }
+
+    /**
+     * Adopt a model and the training state from another ModelManager, e.g. the training worker's
+     */
+    applyTrainingState(model, state) {
+        this.setModel(model);
+        this.featureExtractor = null;
+        this.head = null;
+        Object.assign(this, state);
     }
 
     /**
@@ -386,36 +1581,51 @@ class ModelManager {
             return null;
         }
 
+        const countWeights = (weights) => weights.reduce((sum, w) => sum + tf.util.sizeFromShape(w.shape), 0);
+
+        // A nested backbone counts as trainable when any of its layers is
         const layers = [];
         this.model.layers.forEach(layer => {
+            const trainableParams = countWeights(layer.trainableWeights);
             layers.push({
                 name: layer.name,
                 type: layer.getClassName(),
-                outputShape: layer.outputShape
+                outputShape: layer.outputShape,
+                trainable: trainableParams > 0,
+                trainableParams,
+                nonTrainableParams: countWeights(layer.nonTrainableWeights)
             });
         });
 
+        let backbone = null;
+        const backboneModel = this.getBackbone();
+        if (backboneModel) {
+            const weighted = backboneModel.layers.filter(layer => layer.weights.length > 0);
+            const trainableLayers = weighted.filter(layer => layer.trainableWeights.length > 0).length;
+            backbone = {
+                trainableLayers,
+                frozenLayers: weighted.length - trainableLayers
+            };
+        }
+
         return {
             totalParams: this.model.countParams(),
+            trainableParams: countWeights(this.model.trainableWeights),
+            nonTrainableParams: countWeights(this.model.nonTrainableWeights),
+            backbone,
             layers
         };
     }
 
     /**
-     * Dispose of tensors and model
+     * Dispose of the model and the cached transfer learning base
      */
     dispose() {
-        if (this.model) {
-            this.model.dispose();
-            this.model = null;
-        }
-        if (this.mobileNetBase) {
-            this.mobileNetBase.dispose();
-            this.mobileNetBase = null;
-        }
+        this.resetModel();
+        this.disposeMobileNetBase();
     }
 }
 
 // Export singleton instance
 export const modelManager = new ModelManager();
-export { IMAGE_SIZE };
+export { IMAGE_SIZE, INPUT_SIZES, RESIZE_MODES, NORMALIZATIONS, DEFAULT_PREPROCESSING, SPLITS, WORKER_MODEL_URL, imageBitmapToData };
@@ -0,0 +1,174 @@
+/**
+ * Hyperparameter Search Module
+ * Grid and random search over learning rate, batch size and architecture,
+ * running short training trials one after another
+ */
+
+import { modelManager } from './model.js';
+import { trainer } from './trainer.js';
+
+/**
+ * Metrics trials can be ranked by
+ */
+export const SEARCH_METRICS = {
+    val_acc: 'Validation Accuracy',
+    val_loss: 'Validation Loss',
+    acc: 'Training Accuracy',
+    loss: 'Training Loss'
+};
+
+/**
+ * Build the trial configurations to run.
+ *
+ * The space lists candidate learning rates, batch sizes and architectures
+ * ({ name, architecture, backbone, layers }). Grid search takes the full product,
+ * spread evenly over the budget when it is larger. Random search samples the
+ * learning rate log-uniformly between the smallest and largest candidate,
+ * rounded to `learningRateStep`, and picks batch size and architecture at random.
+ */
+export function createTrials(space, { strategy = 'grid', budget = 10, learningRateStep = null } = {}) {
+    const { learningRates, batchSizes, architectures } = space;
+    if (learningRates.length === 0 || batchSizes.length === 0 || architectures.length === 0) {
+        throw new Error('Choose at least one learning rate, batch size and architecture');
+    }
+
+    if (strategy === 'random') {
+        const minLog = Math.log(Math.min(...learningRates));
+        const maxLog = Math.log(Math.max(...learningRates));
+        const pick = (values) => values[Math.floor(Math.random() * values.length)];
+
+        return Array.from({ length: budget }, () => {
+            let learningRate = Math.exp(minLog + Math.random() * (maxLog - minLog));
+            if (learningRateStep) {
+                learningRate = Math.max(learningRateStep, Math.round(learningRate / learningRateStep) * learningRateStep);
+                learningRate = parseFloat(learningRate.toPrecision(6));
+            }
+            return { learningRate, batchSize: pick(batchSizes), ...pick(architectures) };
+        });
+    }
+
+    const grid = [];
+    for (const architecture of architectures) {
+        for (const batchSize of batchSizes) {
+            for (const learningRate of learningRates) {
+                grid.push({ learningRate, batchSize, ...architecture });
+            }
+        }
+    }
+
+    if (grid.length <= budget) {
+        return grid;
+    }
+    return Array.from({ length: budget }, (_, i) => grid[Math.floor(i * grid.length / budget)]);
+}
+
+/**
+ * Run trials sequentially through the trainer and rank them by a validation metric
+ */
+export class HyperparameterSearch {
+    constructor(trials, { metric = 'val_acc', epochs = 5 } = {}) {
+        this.trials = trials;
+        this.metric = metric;
+        this.epochs = epochs;
+        this.results = [];
+        this.stopped = false;
+    }
+
+    /**
+     * Loss-like metrics rank lowest first, accuracy-like metrics highest first
+     */
+    get mode() {
+        return this.metric.includes('acc') ? 'max' : 'min';
+    }
+
+    /**
+     * Run every trial unless training is stopped. Trial params start from
+     * baseParams; checkpoints and fine-tuning are turned off to keep trials short.
+     */
+    async run(trainingData, baseParams, callbacks) {
+        // Validation metrics can only be ranked when there is validation data
+        if (!trainingData.validation) {
+            this.metric = this.metric.replace(/^val_/, '');
+        }
+
+        this.results = [];
+        this.stopped = false;
+
+        for (const [index, trial] of this.trials.entries()) {
+            if (this.stopped) break;
+
+            if (callbacks.onTrialStart) {
+                callbacks.onTrialStart(index, this.trials.length, trial);
+            }
+
+            const params = {
+                ...baseParams,
+                learningRate: trial.learningRate,
+                batchSize: trial.batchSize,
+                architecture: trial.architecture,
+                backbone: trial.backbone ?? null,
+                layers: trial.layers ?? null,
+                epochs: this.epochs,
+                checkpointEvery: 0,
+                fineTune: baseParams.fineTune ? { ...baseParams.fineTune, enabled: false } : null
+            };
+
+            const startedAt = Date.now();
+            const result = { index, trial, params, status: null, score: null, bestEpoch: null, metrics: null, error: null };
+            try {
+                // Trials write no checkpoints, so an interrupted run stays resumable
+                const completed = await trainer.train(trainingData, params, callbacks.training, { keepCheckpoint: true });
+                const best = this.getBestEpoch(modelManager.history);
+                result.status = completed ? 'completed' : 'stopped';
+                if (best) {
+                    const { epoch, ...metrics } = best;
+                    result.score = metrics[this.metric];
+                    result.bestEpoch = epoch;
+                    result.metrics = metrics;
+                }
+                // A stop during a trial ends the whole search
+                this.stopped = !completed;
+            } catch (error) {
+                console.error(`Search trial ${index + 1} failed:`, error);
+                result.status = 'failed';
+                result.error = error.message;
+            }
+            result.duration = Date.now() - startedAt;
+
+            this.results.push(result);
+            if (callbacks.onTrialEnd) {
+                callbacks.onTrialEnd(result, this.getRanking());
+            }
+        }
+
+        return this.getRanking();
+    }
+
+    /**
+     * Find the epoch with the best value of the ranking metric
+     */
+    getBestEpoch(history) {
+        let best = null;
+        for (const entry of history) {
+            const value = entry[this.metric];
+            if (value == null || Number.isNaN(value)) continue;
+            if (best === null || (this.mode === 'max' ? value > best[this.metric] : value < best[this.metric])) {
+                best = entry;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Get results ordered best first; trials without a score come last
+     */
+    getRanking() {
+        const direction = this.mode === 'max' ? -1 : 1;
+        return [...this.results].sort((a, b) => {
+            if (a.score === null || b.score === null) {
+                return (a.score === null) - (b.score === null);
+            }
+            return direction * (a.score - b.score);
+        });
+    }
+}
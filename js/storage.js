@@ -4,13 +4,19 @@
  */
 
 const DB_NAME = 'TensorFlowImageClassifier';
-const DB_VERSION = 1;
+const DB_VERSION = 6;
 const STORES = {
     CLASSES: 'classes',
     IMAGES: 'images',
     MODELS: 'models',
-    SETTINGS: 'settings'
+    SETTINGS: 'settings',
+    EMBEDDINGS: 'embeddings',
+    CHECKPOINTS: 'checkpoints',
+    RUNS: 'runs'
 };
+const ACTIVE_MODEL_SETTING = 'activeModelId';
+const LEGACY_MODEL_ID = 'current';
+const CHECKPOINT_ID = 'latest';
 
 class StorageManager {
     constructor() {
@@ -46,6 +52,11 @@ class StorageManager {
                     imageStore.createIndex('classId', 'classId', { unique: false });
                 }
 
+                const imageStore = event.target.transaction.objectStore(STORES.IMAGES);
+                if (!imageStore.indexNames.contains('split')) {
+                    imageStore.createIndex('split', 'split', { unique: false });
+                }
+
                 if (!db.objectStoreNames.contains(STORES.MODELS)) {
                     db.createObjectStore(STORES.MODELS, { keyPath: 'id' });
                 }
@@ -53,6 +64,36 @@ class StorageManager {
                 if (!db.objectStoreNames.contains(STORES.SETTINGS)) {
                     db.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
                 }
+
+                // Backbone features per image, keyed by [featureKey, imageId]
+                if (!db.objectStoreNames.contains(STORES.EMBEDDINGS)) {
+                    const embeddingStore = db.createObjectStore(STORES.EMBEDDINGS, { keyPath: ['featureKey', 'imageId'] });
+                    embeddingStore.createIndex('imageId', 'imageId', { unique: false });
+                }
+
+                if (!db.objectStoreNames.contains(STORES.CHECKPOINTS)) {
+                    db.createObjectStore(STORES.CHECKPOINTS, { keyPath: 'id' });
+                }
+
+                if (!db.objectStoreNames.contains(STORES.RUNS)) {
+                    db.createObjectStore(STORES.RUNS, { keyPath: 'id', autoIncrement: true });
+                }
+
+                // Version 1 kept a single unnamed model under 'current'; it becomes the active model
+                if (event.oldVersion === 1) {
+                    const upgradeTransaction = event.target.transaction;
+                    const modelStore = upgradeTransaction.objectStore(STORES.MODELS);
+                    const legacyRequest = modelStore.get(LEGACY_MODEL_ID);
+                    legacyRequest.onsuccess = () => {
+                        const legacy = legacyRequest.result;
+                        if (!legacy) return;
+                        if (!legacy.name) {
+                            modelStore.put({ ...legacy, name: 'Default' });
+                        }
+                        upgradeTransaction.objectStore(STORES.SETTINGS)
+                            .put({ key: ACTIVE_MODEL_SETTING, value: LEGACY_MODEL_ID });
+                    };
+                }
             };
         });
     }
@@ -143,12 +184,13 @@ class StorageManager {
     /**
      * Add an image to a class
      */
-    async addImage(classId, imageData) {
+    async addImage(classId, imageData, name = null) {
         return new Promise((resolve, reject) => {
             const store = this.getStore(STORES.IMAGES, 'readwrite');
             const request = store.add({
                 classId,
                 data: imageData,
+                name,
                 createdAt: Date.now()
             });
 
@@ -184,10 +226,90 @@ class StorageManager {
         });
     }
 
+    /**
+     * Get images by id, in the order requested
+     */
+    async getImagesById(ids) {
+        return new Promise((resolve, reject) => {
+            const store = this.getStore(STORES.IMAGES);
+            const results = new Array(ids.length);
+            let remaining = ids.length;
+
+            if (remaining === 0) {
+                resolve(results);
+                return;
+            }
+
+            ids.forEach((id, i) => {
+                const request = store.get(id);
+                request.onsuccess = () => {
+                    results[i] = request.result;
+                    if (--remaining === 0) resolve(results);
+                };
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * Get the id, classId and split of every image without loading image data
+     */
+    async getImageIndex() {
+        const readIndex = (indexName) => new Promise((resolve, reject) => {
+            const keys = new Map();
+            const request = this.getStore(STORES.IMAGES).index(indexName).openKeyCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    keys.set(cursor.primaryKey, cursor.key);
+                    cursor.continue();
+                } else {
+                    resolve(keys);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+
+        const [classIds, splits] = await Promise.all([readIndex('classId'), readIndex('split')]);
+
+        return Array.from(classIds, ([id, classId]) => ({
+            id,
+            classId,
+            split: splits.get(id) ?? null
+        }));
+    }
+
+    /**
+     * Store train/validation/test split assignments for images
+     */
+    async setImageSplits(assignments) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.getTransaction(STORES.IMAGES, 'readwrite');
+            const store = transaction.objectStore(STORES.IMAGES);
+
+            for (const { id, split } of assignments) {
+                const getRequest = store.get(id);
+                getRequest.onsuccess = () => {
+                    const data = getRequest.result;
+                    if (data) {
+                        data.split = split;
+                        store.put(data);
+                    }
+                };
+            }
+
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
     /**
      * Delete an image
      */
     async deleteImage(id) {
+        await this.deleteEmbeddingsForImages([id]);
+
         return new Promise((resolve, reject) => {
             const store = this.getStore(STORES.IMAGES, 'readwrite');
             const request = store.delete(id);
@@ -202,6 +324,7 @@ class StorageManager {
      */
     async deleteImagesByClass(classId) {
         const images = await this.getImagesByClass(classId);
+        await this.deleteEmbeddingsForImages(images.map(img => img.id));
         const store = this.getStore(STORES.IMAGES, 'readwrite');
 
         return Promise.all(images.map(img => {
@@ -213,16 +336,112 @@ class StorageManager {
         }));
     }
 
+    // ==================== Embedding Operations ====================
+
+    /**
+     * Get cached features for images, as a Map from image id to Float32Array
+     */
+    async getEmbeddings(featureKey, imageIds) {
+        return new Promise((resolve, reject) => {
+            const store = this.getStore(STORES.EMBEDDINGS);
+            const results = new Map();
+            let remaining = imageIds.length;
+
+            if (remaining === 0) {
+                resolve(results);
+                return;
+            }
+
+            for (const imageId of imageIds) {
+                const request = store.get([featureKey, imageId]);
+                request.onsuccess = () => {
+                    if (request.result) {
+                        results.set(imageId, request.result.data);
+                    }
+                    if (--remaining === 0) resolve(results);
+                };
+                request.onerror = () => reject(request.error);
+            }
+        });
+    }
+
+    /**
+     * Store features for images
+     */
+    async saveEmbeddings(featureKey, embeddings) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.getTransaction(STORES.EMBEDDINGS, 'readwrite');
+            const store = transaction.objectStore(STORES.EMBEDDINGS);
+
+            for (const { imageId, data } of embeddings) {
+                store.put({ featureKey, imageId, data });
+            }
+
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Delete cached features of images for every backbone
+     */
+    async deleteEmbeddingsForImages(imageIds) {
+        if (imageIds.length === 0) return true;
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.getTransaction(STORES.EMBEDDINGS, 'readwrite');
+            const index = transaction.objectStore(STORES.EMBEDDINGS).index('imageId');
+
+            for (const imageId of imageIds) {
+                const request = index.openKeyCursor(imageId);
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (cursor) {
+                        transaction.objectStore(STORES.EMBEDDINGS).delete(cursor.primaryKey);
+                        cursor.continue();
+                    }
+                };
+            }
+
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Delete cached features computed with a backbone, under any preprocessing
+     */
+    async deleteEmbeddingsForBackbone(backboneId) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.getTransaction(STORES.EMBEDDINGS, 'readwrite');
+            const range = IDBKeyRange.bound([backboneId], [`${backboneId}:\uffff`]);
+            const request = transaction.objectStore(STORES.EMBEDDINGS).openCursor(range);
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    const { featureKey } = cursor.value;
+                    if (featureKey === backboneId || featureKey.startsWith(`${backboneId}:`)) {
+                        cursor.delete();
+                    }
+                    cursor.continue();
+                }
+            };
+
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
     // ==================== Model Operations ====================
 
     /**
-     * Save model info
+     * Save model info under its registry id
      */
     async saveModelInfo(modelInfo) {
         return new Promise((resolve, reject) => {
             const store = this.getStore(STORES.MODELS, 'readwrite');
             const request = store.put({
-                id: 'current',
                 ...modelInfo,
                 savedAt: Date.now()
             });
@@ -233,18 +452,169 @@ class StorageManager {
     }
 
     /**
-     * Get model info
+     * Get model info by id
      */
-    async getModelInfo() {
+    async getModelInfo(id) {
         return new Promise((resolve, reject) => {
             const store = this.getStore(STORES.MODELS);
-            const request = store.get('current');
+            const request = store.get(id);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get info for all saved models, newest first
+     */
+    async getAllModelInfo() {
+        return new Promise((resolve, reject) => {
+            const store = this.getStore(STORES.MODELS);
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(request.result.sort((a, b) => b.savedAt - a.savedAt));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Delete model info, clearing the active model if it was this one
+     */
+    async deleteModelInfo(id) {
+        if (await this.getActiveModelId() === id) {
+            await this.setActiveModel(null);
+        }
+
+        return new Promise((resolve, reject) => {
+            const store = this.getStore(STORES.MODELS, 'readwrite');
+            const request = store.delete(id);
+
+            request.onsuccess = () => resolve(true);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Mark a saved model as the active one
+     */
+    async setActiveModel(id) {
+        return this.saveSetting(ACTIVE_MODEL_SETTING, id);
+    }
+
+    /**
+     * Get the id of the active model
+     */
+    async getActiveModelId() {
+        return this.getSetting(ACTIVE_MODEL_SETTING);
+    }
+
+    /**
+     * Get info for the active model
+     */
+    async getActiveModelInfo() {
+        const id = await this.getActiveModelId();
+        return id ? this.getModelInfo(id) : undefined;
+    }
+
+    // ==================== Checkpoint Operations ====================
+
+    /**
+     * Save the training checkpoint, replacing the previous one
+     */
+    async saveCheckpoint(checkpoint) {
+        return new Promise((resolve, reject) => {
+            const store = this.getStore(STORES.CHECKPOINTS, 'readwrite');
+            const request = store.put({
+                ...checkpoint,
+                id: CHECKPOINT_ID,
+                savedAt: Date.now()
+            });
+
+            request.onsuccess = () => resolve(true);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get the training checkpoint
+     */
+    async getCheckpoint() {
+        return new Promise((resolve, reject) => {
+            const store = this.getStore(STORES.CHECKPOINTS);
+            const request = store.get(CHECKPOINT_ID);
 
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
     }
 
+    /**
+     * Delete the training checkpoint
+     */
+    async deleteCheckpoint() {
+        return new Promise((resolve, reject) => {
+            const store = this.getStore(STORES.CHECKPOINTS, 'readwrite');
+            const request = store.delete(CHECKPOINT_ID);
+
+            request.onsuccess = () => resolve(true);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // ==================== Run History Operations ====================
+
+    /**
+     * Add a finished training run. Returns the new run id.
+     */
+    async addRun(run) {
+        return new Promise((resolve, reject) => {
+            const store = this.getStore(STORES.RUNS, 'readwrite');
+            const request = store.add(run);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get all training runs, newest first
+     */
+    async getRuns() {
+        return new Promise((resolve, reject) => {
+            const store = this.getStore(STORES.RUNS);
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(request.result.sort((a, b) => b.startedAt - a.startedAt));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Delete a training run
+     */
+    async deleteRun(id) {
+        return new Promise((resolve, reject) => {
+            const store = this.getStore(STORES.RUNS, 'readwrite');
+            const request = store.delete(id);
+
+            request.onsuccess = () => resolve(true);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Delete all training runs
+     */
+    async clearRuns() {
+        return new Promise((resolve, reject) => {
+            const store = this.getStore(STORES.RUNS, 'readwrite');
+            const request = store.clear();
+
+            request.onsuccess = () => resolve(true);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     // ==================== Settings Operations ====================
 
     /**
@@ -279,7 +649,7 @@ class StorageManager {
      * Clear all data
      */
     async clearAll() {
-        const storeNames = [STORES.CLASSES, STORES.IMAGES, STORES.MODELS, STORES.SETTINGS];
+        const storeNames = [STORES.CLASSES, STORES.IMAGES, STORES.MODELS, STORES.SETTINGS, STORES.EMBEDDINGS, STORES.CHECKPOINTS, STORES.RUNS];
 
         for (const storeName of storeNames) {
             await new Promise((resolve, reject) => {
@@ -299,9 +669,10 @@ class StorageManager {
      */
     async getDataSummary() {
         const classes = await this.getClasses();
-        const images = await this.getAllImages();
+        const images = await this.getImageIndex();
 
         const classCounts = {};
+        const splitCounts = { train: 0, validation: 0, test: 0, unassigned: 0 };
         for (const cls of classes) {
             classCounts[cls.id] = 0;
         }
@@ -309,12 +680,14 @@ class StorageManager {
             if (classCounts[img.classId] !== undefined) {
                 classCounts[img.classId]++;
             }
+            splitCounts[img.split in splitCounts ? img.split : 'unassigned']++;
         }
 
         return {
             numClasses: classes.length,
             totalImages: images.length,
             classCounts,
+            splitCounts,
             classes
         };
     }
@@ -0,0 +1,316 @@
+/**
+ * Trainer Module
+ * Runs training and inference in a Web Worker so the page stays responsive,
+ * falling back to the main thread where workers cannot run TensorFlow.js
+ *
+ * The page's ModelManager stays the source of truth: after each training run the
+ * worker saves its model to WORKER_MODEL_URL and the page loads it, and the page's
+ * model is handed to the worker the same way before the worker uses it.
+ */
+
+import { storage } from './storage.js';
+import { modelManager, WORKER_MODEL_URL } from './model.js';
+import { getMemoryInfo } from './backends.js';
+
+// Settings key for the worker on/off choice
+const USE_WORKER_SETTING = 'useTrainingWorker';
+
+class Trainer {
+    constructor() {
+        this.enabled = true;
+        this.worker = null;
+        this.ready = null;
+        this.failed = false;
+        this.backend = null;
+        this.pending = new Map();
+        this.nextId = 1;
+        this.callbacks = null;
+
+        // The page model the worker currently holds
+        this.workerModel = null;
+    }
+
+    /**
+     * Check if the browser can decode images and run models in a worker
+     */
+    isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined';
+    }
+
+    /**
+     * Restore the saved worker on/off choice (on by default)
+     */
+    async loadSettings() {
+        this.enabled = await storage.getSetting(USE_WORKER_SETTING) ?? true;
+        return this.enabled;
+    }
+
+    /**
+     * Turn the worker on or off and remember the choice. Turning it off terminates a running worker.
+     */
+    async setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.terminate();
+        }
+        await storage.saveSetting(USE_WORKER_SETTING, enabled);
+    }
+
+    /**
+     * Describe where training runs, for display
+     */
+    describe() {
+        if (!this.isSupported()) return 'not supported in this browser';
+        if (this.failed) return 'unavailable, using the main thread';
+        if (!this.enabled) return 'off, using the main thread';
+        return this.backend ? `${this.backend} backend` : 'starts with the first training run';
+    }
+
+    /**
+     * Check if requests go to the worker
+     */
+    isActive() {
+        return this.enabled && this.isSupported() && !this.failed;
+    }
+
+    /**
+     * Start the worker on first use. Resolves to null when it cannot start.
+     */
+    async getWorker() {
+        if (!this.isActive()) {
+            return null;
+        }
+
+        try {
+            if (!this.ready) {
+                this.ready = this.startWorker();
+            }
+            const worker = await this.ready;
+            // Errors after start-up fail whatever was waiting on the worker
+            worker.onerror = (event) => {
+                event.preventDefault();
+                this.terminate(new Error(event.message || 'Training worker crashed'));
+            };
+            return worker;
+        } catch (error) {
+            console.warn('Training worker unavailable, using the main thread:', error);
+            this.failed = true;
+            this.terminate(error);
+            return null;
+        }
+    }
+
+    startWorker() {
+        const worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+        this.worker = worker;
+
+        return new Promise((resolve, reject) => {
+            worker.onmessage = (event) => {
+                if (event.data.type === 'ready') {
+                    this.backend = event.data.backend;
+                    worker.onmessage = (e) => this.handleMessage(e.data);
+                    resolve(worker);
+                }
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                reject(new Error(event.message || 'Training worker failed to start'));
+            };
+        });
+    }
+
+    handleMessage(message) {
+        if (message.type === 'callback') {
+            this.callbacks?.[message.name]?.(...message.args);
+            return;
+        }
+
+        const request = this.pending.get(message.id);
+        if (!request) return;
+        this.pending.delete(message.id);
+
+        if (message.type === 'error') {
+            request.reject(new Error(message.message));
+        } else {
+            request.resolve(message.value);
+        }
+    }
+
+    /**
+     * Stop the worker, failing any requests still waiting on it
+     */
+    terminate(error = new Error('Training worker was stopped')) {
+        for (const { reject } of this.pending.values()) {
+            reject(error);
+        }
+        this.pending.clear();
+        this.worker?.terminate();
+        this.worker = null;
+        this.ready = null;
+        this.workerModel = null;
+    }
+
+    /**
+     * Send a request to the worker and wait for its answer
+     */
+    request(worker, type, payload = {}, transfer = []) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            worker.postMessage({ id, type, payload }, transfer);
+        });
+    }
+
+    /**
+     * Hand the page's current model to the worker unless it already has it
+     */
+    async syncModel(worker) {
+        if (!modelManager.model) {
+            throw new Error('Model not trained');
+        }
+        if (this.workerModel === modelManager.model) {
+            return;
+        }
+
+        await modelManager.model.save(WORKER_MODEL_URL);
+        await this.request(worker, 'loadModel', { state: modelManager.getTrainingState() });
+        this.workerModel = modelManager.model;
+    }
+
+    /**
+     * Run a training request, relaying callbacks, then take over the trained model
+     */
+    async runTraining(worker, type, payload, callbacks) {
+        this.callbacks = callbacks;
+        try {
+            const { completed, results, state } = await this.request(worker, type, {
+                ...payload,
+                classLabels: modelManager.classLabels
+            });
+
+            const model = await tf.loadLayersModel(WORKER_MODEL_URL);
+            modelManager.applyTrainingState(model, state);
+            this.workerModel = model;
+
+            if (callbacks.onTrainingEnd) {
+                callbacks.onTrainingEnd(completed, results);
+            }
+            return completed;
+        } catch (error) {
+            // The worker's model may no longer match the page's
+            this.workerModel = null;
+            if (callbacks.onTrainingError) {
+                callbacks.onTrainingError(error);
+            }
+            throw error;
+        } finally {
+            this.callbacks = null;
+        }
+    }
+
+    /**
+     * Train a new model (see ModelManager.train)
+     */
+    async train(trainingData, params, callbacks, options = {}) {
+        const worker = await this.getWorker();
+        if (!worker) {
+            return modelManager.train(trainingData, params, callbacks, options);
+        }
+        return this.runTraining(worker, 'train', { trainingData, params, options }, callbacks);
+    }
+
+    /**
+     * Resume training from the stored checkpoint
+     */
+    async resumeFromCheckpoint(trainingData, callbacks) {
+        const worker = await this.getWorker();
+        if (!worker) {
+            return modelManager.resumeFromCheckpoint(trainingData, callbacks);
+        }
+        return this.runTraining(worker, 'resumeFromCheckpoint', { trainingData }, callbacks);
+    }
+
+    /**
+     * Keep training the page's current model
+     */
+    async continueTraining(trainingData, params, callbacks) {
+        const worker = await this.getWorker();
+        if (!worker) {
+            return modelManager.continueTraining(trainingData, params, callbacks);
+        }
+        await this.syncModel(worker);
+        return this.runTraining(worker, 'continueTraining', { trainingData, params }, callbacks);
+    }
+
+    pauseTraining() {
+        modelManager.pauseTraining();
+        this.worker?.postMessage({ type: 'pauseTraining' });
+    }
+
+    resumeTraining() {
+        modelManager.resumeTraining();
+        this.worker?.postMessage({ type: 'resumeTraining' });
+    }
+
+    stopTraining() {
+        modelManager.stopTraining();
+        this.worker?.postMessage({ type: 'stopTraining' });
+    }
+
+    /**
+     * Get tensor memory stats from wherever models run: the worker once it has started, else the page
+     */
+    async getMemoryInfo() {
+        const worker = this.ready ? await this.ready.catch(() => null) : null;
+        if (!worker) {
+            return getMemoryInfo();
+        }
+        return this.request(worker, 'getMemoryInfo');
+    }
+
+    /**
+     * Classify an image, video or canvas element
+     */
+    async predict(imageElement) {
+        const worker = await this.getWorker();
+        if (!worker) {
+            return modelManager.predict(imageElement);
+        }
+
+        await this.syncModel(worker);
+        const image = await createImageBitmap(imageElement);
+        return this.request(worker, 'predict', { image, classLabels: modelManager.classLabels }, [image]);
+    }
+
+    /**
+     * Classify many image elements in batches
+     */
+    async predictImages(imageElements, batchSize = 32) {
+        const worker = await this.getWorker();
+        if (!worker) {
+            return modelManager.predictImages(imageElements, batchSize);
+        }
+
+        await this.syncModel(worker);
+        const images = await Promise.all(imageElements.map(img => createImageBitmap(img)));
+        return this.request(worker, 'predictImages', { images, batchSize, classLabels: modelManager.classLabels }, images);
+    }
+
+    /**
+     * Build a classification report for stored samples
+     */
+    async evaluateClassification(samples, batchSize = 32) {
+        const worker = await this.getWorker();
+        if (!worker) {
+            return modelManager.evaluateClassification(samples, batchSize);
+        }
+
+        await this.syncModel(worker);
+        return this.request(worker, 'evaluateClassification', { samples, batchSize, classLabels: modelManager.classLabels });
+    }
+}
+
+// Export singleton instance
+export const trainer = new Trainer();
@@ -0,0 +1,226 @@
+/**
+ * Training Utilities Module
+ * Optimizers and helpers that steer the training loop between epochs
+ */
+
+/**
+ * Available optimizers
+ */
+export const OPTIMIZERS = {
+    adam: 'Adam',
+    sgd: 'SGD with momentum',
+    rmsprop: 'RMSProp',
+    adagrad: 'Adagrad'
+};
+
+/**
+ * Create an optimizer by name
+ */
+export function createOptimizer(name, learningRate, { momentum = 0.9 } = {}) {
+    switch (name) {
+        case 'sgd':
+            return tf.train.momentum(learningRate, momentum);
+        case 'rmsprop':
+            return tf.train.rmsprop(learningRate);
+        case 'adagrad':
+            return tf.train.adagrad(learningRate);
+        case 'adam':
+            return tf.train.adam(learningRate);
+        default:
+            throw new Error(`Unknown optimizer "${name}"`);
+    }
+}
+
+/**
+ * Change an optimizer's learning rate between steps
+ */
+export function setLearningRate(optimizer, learningRate) {
+    // SGD-based optimizers cache the rate as a tensor and need their setter
+    if (typeof optimizer.setLearningRate === 'function') {
+        optimizer.setLearningRate(learningRate);
+    } else {
+        optimizer.learningRate = learningRate;
+    }
+}
+
+/**
+ * Default learning rate schedule options (constant rate)
+ *
+ * - step: multiply by `factor` every `stepSize` epochs
+ * - exponential: multiply by `decayRate` every epoch
+ * - cosine: anneal from the base rate to `minLearningRate` over the phase
+ * - plateau: multiply by `factor` when `monitor` has not improved for `patience` epochs
+ * - warmupEpochs: ramp up linearly to the base rate first, with any schedule
+ */
+export const DEFAULT_LR_SCHEDULE = {
+    type: 'constant',
+    stepSize: 10,
+    factor: 0.5,
+    decayRate: 0.95,
+    minLearningRate: 1e-6,
+    monitor: 'val_loss',
+    patience: 3,
+    warmupEpochs: 0
+};
+
+/**
+ * Compute the learning rate for each epoch of a training phase
+ */
+export class LearningRateSchedule {
+    constructor(options, baseLearningRate, numEpochs) {
+        this.options = { ...DEFAULT_LR_SCHEDULE, ...options };
+        this.baseLearningRate = baseLearningRate;
+        this.numEpochs = numEpochs;
+
+        // Reduce-on-plateau state
+        this.plateauRate = baseLearningRate;
+        this.best = null;
+        this.wait = 0;
+    }
+
+    /**
+     * Get the learning rate for an epoch counted from the start of the phase
+     */
+    getRate(epoch) {
+        const { type, stepSize, factor, decayRate, minLearningRate, warmupEpochs } = this.options;
+        const base = this.baseLearningRate;
+
+        if (epoch < warmupEpochs) {
+            return base * (epoch + 1) / (warmupEpochs + 1);
+        }
+
+        const t = epoch - warmupEpochs;
+        const decayEpochs = Math.max(1, this.numEpochs - warmupEpochs);
+        switch (type) {
+            case 'step':
+                return Math.max(minLearningRate, base * Math.pow(factor, Math.floor(t / stepSize)));
+            case 'exponential':
+                return Math.max(minLearningRate, base * Math.pow(decayRate, t));
+            case 'cosine':
+                return minLearningRate + 0.5 * (base - minLearningRate) * (1 + Math.cos(Math.PI * Math.min(t, decayEpochs) / decayEpochs));
+            case 'plateau':
+                return this.plateauRate;
+            default:
+                return base;
+        }
+    }
+
+    /**
+     * Record an epoch's metrics, which only reduce-on-plateau uses
+     */
+    update(metrics) {
+        const { type, monitor, patience, factor, minLearningRate } = this.options;
+        const value = metrics[monitor] ?? metrics[monitor.replace(/^val_/, '')];
+        if (type !== 'plateau' || value == null || Number.isNaN(value)) return;
+
+        const improved = this.best === null ||
+            (monitor.includes('acc') ? value > this.best : value < this.best);
+        if (improved) {
+            this.best = value;
+            this.wait = 0;
+        } else if (++this.wait >= patience) {
+            this.plateauRate = Math.max(minLearningRate, this.plateauRate * factor);
+            this.wait = 0;
+        }
+    }
+}
+
+/**
+ * Default early stopping options (disabled)
+ */
+export const DEFAULT_EARLY_STOPPING = {
+    enabled: false,
+    monitor: 'val_loss',
+    patience: 5,
+    minDelta: 0.001,
+    restoreBestWeights: true
+};
+
+/**
+ * Stop training when a metric stops improving, remembering the best epoch's weights
+ */
+export class EarlyStopping {
+    constructor(options = {}) {
+        const { monitor, patience, minDelta, restoreBestWeights } = { ...DEFAULT_EARLY_STOPPING, ...options };
+        this.monitor = monitor;
+        this.patience = patience;
+        this.minDelta = minDelta;
+        this.restoreBestWeights = restoreBestWeights;
+        this.best = null;
+        this.bestEpoch = null;
+        this.wait = 0;
+        this.bestWeights = null;
+    }
+
+    /**
+     * Loss-like metrics improve downwards, accuracy-like metrics upwards
+     */
+    get mode() {
+        return this.monitor.includes('acc') ? 'max' : 'min';
+    }
+
+    /**
+     * Check if a value beats the best so far by more than minDelta
+     */
+    isImprovement(value) {
+        if (this.best === null) return true;
+        return this.mode === 'min'
+            ? value < this.best - this.minDelta
+            : value > this.best + this.minDelta;
+    }
+
+    /**
+     * Record an epoch's metrics. Returns true when training should stop.
+     * Without a model (epochs replayed on resume) no best weights are kept.
+     */
+    update(epoch, metrics, model = null) {
+        const value = metrics[this.monitor];
+        if (value == null || Number.isNaN(value)) {
+            return false;
+        }
+
+        if (this.isImprovement(value)) {
+            this.best = value;
+            this.bestEpoch = epoch;
+            this.wait = 0;
+            if (this.restoreBestWeights) {
+                tf.dispose(this.bestWeights);
+                this.bestWeights = model ? model.getWeights().map(weight => weight.clone()) : null;
+            }
+            return false;
+        }
+
+        this.wait++;
+        return this.wait >= this.patience;
+    }
+
+    /**
+     * Give the metric a fresh patience window, e.g. when a new training phase starts
+     */
+    resetPatience() {
+        this.wait = 0;
+    }
+
+    /**
+     * Load the best epoch's weights into the model. Returns false if there are none.
+     */
+    restore(model) {
+        if (!this.bestWeights) {
+            return false;
+        }
+        model.setWeights(this.bestWeights);
+        return true;
+    }
+
+    /**
+     * Describe why training stopped
+     */
+    describe() {
+        return `${this.monitor} did not improve by more than ${this.minDelta} for ${this.patience} epoch(s)`;
+    }
+
+    dispose() {
+        tf.dispose(this.bestWeights);
+        this.bestWeights = null;
+    }
+}
@@ -35,6 +35,20 @@ export function formatPercent(value) {
     return (value * 100).toFixed(2) + '%';
 }
 
+/**
+ * Format a byte count as B, KB, MB or GB
+ */
+export function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
 /**
  * Read file as data URL
  */
@@ -47,6 +61,76 @@ export function readFileAsDataURL(file) {
     });
 }
 
+/**
+ * Trigger a browser download for a blob
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Get a file's path relative to the dropped or selected folder
+ */
+export function getFilePath(file) {
+    return file.relativePath || file.webkitRelativePath || file.name;
+}
+
+/**
+ * Collect dropped files, walking into any dropped folders
+ */
+export async function getDroppedFiles(dataTransfer) {
+    // Entries must be taken before the first await, while the drop event is still live
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => item.webkitGetAsEntry?.())
+        .filter(Boolean);
+
+    if (entries.length === 0) {
+        return Array.from(dataTransfer.files);
+    }
+
+    const files = [];
+    const walk = async (entry) => {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            Object.defineProperty(file, 'relativePath', { value: entry.fullPath.replace(/^\//, '') });
+            files.push(file);
+        } else if (entry.isDirectory) {
+            const reader = entry.createReader();
+            let batch;
+            // readEntries returns results in chunks until it yields an empty list
+            do {
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of batch) {
+                    await walk(child);
+                }
+            } while (batch.length > 0);
+        }
+    };
+
+    for (const entry of entries) {
+        await walk(entry);
+    }
+    return files;
+}
+
+/**
+ * Build CSV text from a header row and data rows
+ */
+export function toCSV(headers, rows) {
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [headers, ...rows].map(row => row.map(escape).join(',')).join('\n');
+}
+
 /**
  * Check if file is an image
  */
@@ -55,23 +139,72 @@ export function isImageFile(file) {
 }
 
 /**
- * Create a chart instance
+ * Check if file can be imported as part of a dataset
+ */
+export function isDatasetFile(file) {
+    return /\.zip$/i.test(file.name) || isImageFile(file);
+}
+
+/**
+ * Check if file belongs to an exported model bundle
+ */
+export function isModelBundleFile(file) {
+    return /\.(zip|json|bin)$/i.test(file.name);
+}
+
+/**
+ * Chart.js plugin drawing a labelled vertical line before each index in chart.phaseMarkers
+ */
+const phaseMarkerPlugin = {
+    id: 'phaseMarkers',
+    afterDatasetsDraw(chart) {
+        const markers = chart.phaseMarkers || [];
+        const { ctx, chartArea, scales } = chart;
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(108, 117, 125, 0.8)';
+        ctx.fillStyle = 'rgba(108, 117, 125, 0.8)';
+        ctx.setLineDash([6, 4]);
+        ctx.font = '12px sans-serif';
+
+        for (const { index, label } of markers) {
+            if (index <= 0 || index >= chart.data.labels.length) continue;
+            const x = (scales.x.getPixelForValue(index - 1) + scales.x.getPixelForValue(index)) / 2;
+
+            ctx.beginPath();
+            ctx.moveTo(x, chartArea.top);
+            ctx.lineTo(x, chartArea.bottom);
+            ctx.stroke();
+            ctx.fillText(label, x + 4, chartArea.top + 12);
+        }
+
+        ctx.restore();
+    }
+};
+
+/**
+ * Create a line chart with one dataset per series, e.g.
+ * [{ label: 'Training', borderColor, backgroundColor }, { label: 'Validation', ..., dashed: true }].
+ * Only the first series is filled.
  */
-export function createChart(canvasId, type, label, borderColor, backgroundColor) {
+export function createChart(canvasId, type, label, series, { xLabel = 'Epoch' } = {}) {
     const ctx = document.getElementById(canvasId).getContext('2d');
     return new Chart(ctx, {
+        plugins: [phaseMarkerPlugin],
         type: 'line',
         data: {
             labels: [],
-            datasets: [{
-                label: label,
+            datasets: series.map((entry, i) => ({
+                label: entry.label,
                 data: [],
-                borderColor: borderColor,
-                backgroundColor: backgroundColor,
+                borderColor: entry.borderColor,
+                backgroundColor: entry.backgroundColor,
                 borderWidth: 2,
-                fill: true,
+                borderDash: entry.dashed ? [6, 4] : [],
+                pointRadius: entry.pointRadius ?? 3,
+                fill: i === 0,
                 tension: 0.3
-            }]
+            }))
         },
         options: {
             responsive: true,
@@ -80,7 +213,7 @@ export function createChart(canvasId, type, label, borderColor, backgroundColor)
                 x: {
                     title: {
                         display: true,
-                        text: 'Epoch'
+                        text: xLabel
                     }
                 },
                 y: {
@@ -157,11 +290,41 @@ export function createProbabilityChart(canvasId) {
 }
 
 /**
- * Update chart data
+ * Add a point to the chart, with one value per series in order.
+ * Missing values (e.g. no validation data) leave a gap.
  */
-export function updateChart(chart, label, value) {
+export function updateChart(chart, label, ...values) {
     chart.data.labels.push(label);
-    chart.data.datasets[0].data.push(value);
+    chart.data.datasets.forEach((dataset, i) => dataset.data.push(values[i] ?? null));
+    chart.update('none');
+}
+
+/**
+ * Add a point to a chart that holds at most `maxPoints` points. When it is full,
+ * every other point is dropped and from then on only every other new point is
+ * added, so the whole run stays visible at a coarser resolution.
+ */
+export function updateSampledChart(chart, maxPoints, label, ...values) {
+    const sample = chart.sampleCount ?? 0;
+    chart.sampleCount = sample + 1;
+    chart.sampleStride = chart.sampleStride ?? 1;
+    if (sample % chart.sampleStride !== 0) return;
+
+    if (chart.data.labels.length >= maxPoints) {
+        const keep = (_, i) => i % 2 === 0;
+        chart.data.labels = chart.data.labels.filter(keep);
+        chart.data.datasets.forEach(dataset => { dataset.data = dataset.data.filter(keep); });
+        chart.phaseMarkers = (chart.phaseMarkers || []).map(marker => ({ ...marker, index: Math.ceil(marker.index / 2) }));
+        chart.sampleStride *= 2;
+    }
+    updateChart(chart, label, ...values);
+}
+
+/**
+ * Mark the start of a new training phase at the next point added to a chart
+ */
+export function addChartPhaseMarker(chart, label) {
+    chart.phaseMarkers = [...(chart.phaseMarkers || []), { index: chart.data.labels.length, label }];
     chart.update('none');
 }
 
@@ -170,10 +333,57 @@ export function updateChart(chart, label, value) {
  */
 export function resetChart(chart) {
     chart.data.labels = [];
-    chart.data.datasets[0].data = [];
+    chart.data.datasets.forEach(dataset => { dataset.data = []; });
+    chart.phaseMarkers = [];
+    chart.sampleCount = 0;
+    chart.sampleStride = 1;
+    chart.update('none');
+}
+
+/**
+ * Replace all of a chart's series, e.g. to overlay a changing set of curves.
+ * Each series is { label, data, borderColor }.
+ */
+export function setChartSeries(chart, labels, series) {
+    chart.data.labels = labels;
+    chart.data.datasets = series.map(entry => ({
+        label: entry.label,
+        data: entry.data,
+        borderColor: entry.borderColor,
+        backgroundColor: entry.borderColor,
+        borderWidth: 2,
+        fill: false,
+        tension: 0.3,
+        spanGaps: true
+    }));
     chart.update('none');
 }
 
+/**
+ * Get a chart's data as CSV, one column per series
+ */
+export function getChartCSV(chart) {
+    const headers = [chart.options.scales.x.title.text, ...chart.data.datasets.map(dataset => dataset.label)];
+    const rows = chart.data.labels.map((label, i) => [label, ...chart.data.datasets.map(dataset => dataset.data[i])]);
+    return toCSV(headers, rows);
+}
+
+/**
+ * Render a chart as a PNG blob on a white background
+ */
+export function getChartImage(chart) {
+    const canvas = document.createElement('canvas');
+    canvas.width = chart.canvas.width;
+    canvas.height = chart.canvas.height;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(chart.canvas, 0, 0);
+
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
 /**
  * Update probability chart with predictions
  */
@@ -191,6 +401,74 @@ export function updateProbabilityChart(chart, predictions) {
     chart.update('none');
 }
 
+/**
+ * Render a confusion matrix heatmap as a table.
+ * Cell shading is the share of the actual class's images in that cell.
+ */
+export function renderConfusionMatrix(container, matrix, labels, onCellClick) {
+    const table = document.createElement('table');
+
+    const headerRow = table.insertRow();
+    headerRow.appendChild(createElement('th', null, 'Actual \\ Predicted'));
+    labels.forEach(label => headerRow.appendChild(createElement('th', null, label)));
+
+    matrix.forEach((row, actual) => {
+        const rowTotal = row.reduce((sum, count) => sum + count, 0);
+        const tr = table.insertRow();
+        tr.appendChild(createElement('th', null, labels[actual]));
+
+        row.forEach((count, predicted) => {
+            const cell = tr.insertCell();
+            const share = rowTotal > 0 ? count / rowTotal : 0;
+            const color = actual === predicted ? '40, 167, 69' : '220, 53, 69';
+            cell.textContent = count;
+            cell.title = `${labels[actual]} → ${labels[predicted]}: ${count} (${formatPercent(share)})`;
+            cell.style.backgroundColor = `rgba(${color}, ${share * 0.85})`;
+            cell.style.color = share > 0.5 ? 'white' : '';
+            cell.addEventListener('click', () => {
+                container.querySelectorAll('td.selected').forEach(td => td.classList.remove('selected'));
+                cell.classList.add('selected');
+                onCellClick(actual, predicted);
+            });
+        });
+    });
+
+    container.innerHTML = '';
+    container.appendChild(table);
+}
+
+/**
+ * Render per-class precision, recall, F1 and support as a table
+ */
+export function renderClassMetricsTable(table, classMetrics, labels, macro) {
+    table.innerHTML = '';
+
+    const headerRow = table.createTHead().insertRow();
+    ['Class', 'Precision', 'Recall', 'F1', 'Support'].forEach(text => {
+        headerRow.appendChild(createElement('th', null, text));
+    });
+
+    const body = table.createTBody();
+    const addRow = (name, metrics, className) => {
+        const tr = body.insertRow();
+        if (className) tr.className = className;
+        [
+            name,
+            formatPercent(metrics.precision),
+            formatPercent(metrics.recall),
+            metrics.f1.toFixed(3),
+            String(metrics.support)
+        ].forEach(text => {
+            tr.insertCell().textContent = text;
+        });
+    };
+
+    classMetrics.forEach((metrics, i) => addRow(labels[i], metrics));
+    if (macro) {
+        addRow('Macro average', macro, 'macro-average');
+    }
+}
+
 /**
  * Debounce function
  */
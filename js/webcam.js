@@ -0,0 +1,236 @@
+/**
+ * Webcam Module
+ * Pluggable frame sources, live classification and recording of camera frames
+ *
+ * A frame source has start(), stop() and getFrame(), where getFrame returns
+ * something tf.browser.fromPixels accepts (a video or canvas element).
+ */
+
+/**
+ * Frames from a MediaStream played through a video element
+ */
+export class MediaStreamSource {
+    constructor(video, getStream) {
+        this.video = video;
+        this.getStream = getStream;
+        this.stream = null;
+    }
+
+    async start() {
+        this.stream = await this.getStream();
+        this.video.srcObject = this.stream;
+
+        // fromPixels needs decoded frame data before the first prediction
+        if (this.video.readyState < 2) {
+            await new Promise(resolve => this.video.addEventListener('loadeddata', resolve, { once: true }));
+        }
+        await this.video.play();
+    }
+
+    stop() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        this.video.srcObject = null;
+    }
+
+    getFrame() {
+        return this.video;
+    }
+}
+
+/**
+ * Create a source for the user's camera
+ */
+export function createCameraSource(video) {
+    return new MediaStreamSource(video, () => {
+        if (!navigator.mediaDevices?.getUserMedia) {
+            throw new Error('Camera access is not supported in this browser');
+        }
+        return navigator.mediaDevices.getUserMedia({
+            video: { facingMode: 'user', width: 640, height: 480 },
+            audio: false
+        });
+    });
+}
+
+/**
+ * Create a camera stand-in that streams an animated test pattern,
+ * for machines without a camera such as headless CI
+ */
+export function createFakeCameraSource(video, fps = 30) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 320;
+    canvas.height = 240;
+    const context = canvas.getContext('2d');
+    let timer = null;
+
+    const source = new MediaStreamSource(video, () => {
+        const startTime = performance.now();
+        drawTestPattern(context, 0);
+        // captureStream only emits frames when the canvas is redrawn
+        timer = setInterval(() => drawTestPattern(context, performance.now() - startTime), 1000 / fps);
+        return canvas.captureStream(fps);
+    });
+
+    const stop = source.stop.bind(source);
+    source.stop = () => {
+        clearInterval(timer);
+        timer = null;
+        stop();
+    };
+
+    return source;
+}
+
+/**
+ * Pick the camera, or the fake camera when the page is opened with ?camera=fake
+ */
+export function getFrameSource(video) {
+    const useFake = new URLSearchParams(window.location.search).get('camera') === 'fake';
+    return useFake ? createFakeCameraSource(video) : createCameraSource(video);
+}
+
+/**
+ * Draw a moving test pattern
+ */
+export function drawTestPattern(context, elapsed) {
+    const { width, height } = context.canvas;
+    const t = elapsed / 1000;
+
+    context.fillStyle = `hsl(${(t * 40) % 360}, 60%, 50%)`;
+    context.fillRect(0, 0, width, height);
+
+    context.fillStyle = 'white';
+    const size = Math.min(width, height) / 3;
+    const x = (width - size) / 2 + Math.sin(t) * width / 4;
+    const y = (height - size) / 2 + Math.cos(t) * height / 4;
+    context.fillRect(x, y, size, size);
+}
+
+/**
+ * Classify frames from a source continuously at a throttled rate
+ */
+export class LiveClassifier {
+    constructor(source, predict, options = {}) {
+        this.source = source;
+        this.predict = predict;
+        this.fps = options.fps || 5;
+        this.onPrediction = options.onPrediction || (() => {});
+        this.onError = options.onError || (() => {});
+        this.isRunning = false;
+        this.timer = null;
+        this.lastFrameTime = null;
+        this.measuredFps = 0;
+    }
+
+    /**
+     * Change the maximum number of predictions per second
+     */
+    setRate(fps) {
+        this.fps = fps;
+    }
+
+    start() {
+        if (this.isRunning) return;
+
+        this.isRunning = true;
+        this.lastFrameTime = null;
+        this.measuredFps = 0;
+        this.tick();
+    }
+
+    stop() {
+        this.isRunning = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    async tick() {
+        if (!this.isRunning) return;
+
+        const startTime = performance.now();
+        try {
+            const predictions = await this.predict(this.source.getFrame());
+            const latency = performance.now() - startTime;
+
+            // Smooth the frame rate so the readout does not flicker
+            if (this.lastFrameTime !== null) {
+                const instantFps = 1000 / (startTime - this.lastFrameTime);
+                this.measuredFps = this.measuredFps ? this.measuredFps * 0.8 + instantFps * 0.2 : instantFps;
+            }
+            this.lastFrameTime = startTime;
+
+            if (this.isRunning) {
+                this.onPrediction(predictions, { fps: this.measuredFps, latency });
+            }
+        } catch (error) {
+            this.stop();
+            this.onError(error);
+            return;
+        }
+
+        if (!this.isRunning) return;
+        const elapsed = performance.now() - startTime;
+        this.timer = setTimeout(() => this.tick(), Math.max(0, 1000 / this.fps - elapsed));
+    }
+}
+
+/**
+ * Record frames from a source as JPEG data URLs at a fixed rate
+ */
+export class FrameRecorder {
+    constructor(source, options = {}) {
+        this.source = source;
+        this.fps = options.fps || 5;
+        this.maxSize = options.maxSize || 448;
+        this.onFrame = options.onFrame || (() => {});
+        this.onError = options.onError || (() => {});
+        this.canvas = document.createElement('canvas');
+        this.timer = null;
+        this.frameCount = 0;
+    }
+
+    get isRecording() {
+        return this.timer !== null;
+    }
+
+    /**
+     * Grab the current frame, scaled down so its longer side fits maxSize
+     */
+    capture() {
+        const frame = this.source.getFrame();
+        const width = frame.videoWidth || frame.width;
+        const height = frame.videoHeight || frame.height;
+        const scale = Math.min(1, this.maxSize / Math.max(width, height));
+
+        this.canvas.width = Math.round(width * scale);
+        this.canvas.height = Math.round(height * scale);
+        this.canvas.getContext('2d').drawImage(frame, 0, 0, this.canvas.width, this.canvas.height);
+
+        return this.canvas.toDataURL('image/jpeg', 0.9);
+    }
+
+    start() {
+        if (this.isRecording) return;
+
+        const record = async () => {
+            try {
+                await this.onFrame(this.capture());
+                this.frameCount++;
+            } catch (error) {
+                this.stop();
+                this.onError(error);
+            }
+        };
+
+        this.timer = setInterval(record, 1000 / this.fps);
+        record();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
@@ -0,0 +1,108 @@
+/**
+ * Training Worker
+ * Runs training and inference off the main thread. Loaded as a module worker by trainer.js.
+ *
+ * Requests arrive as { id, type, payload } and are answered with
+ * { type: 'result', id, value } or { type: 'error', id, message }. Training callbacks
+ * are forwarded as { type: 'callback', name, args }; onTrainingEnd and onTrainingError
+ * are left to the page, which first takes over the trained model.
+ */
+
+// The ES module build shares its core with the WASM and WebGPU backend modules
+import * as tf from 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.15.0/+esm';
+
+// The app modules use the global tf, as on the page
+globalThis.tf = tf;
+
+const { storage } = await import('./storage.js');
+const { setBackend, getBackendSetting, getMemoryInfo } = await import('./backends.js');
+const { modelManager, WORKER_MODEL_URL, imageBitmapToData } = await import('./model.js');
+
+const FORWARDED_CALLBACKS = ['onEpochEnd', 'onBatchEnd', 'onPhaseChange', 'onFeatureProgress', 'onMemoryWarning'];
+
+function createCallbacks() {
+    const callbacks = {};
+    for (const name of FORWARDED_CALLBACKS) {
+        callbacks[name] = (...args) => self.postMessage({ type: 'callback', name, args });
+    }
+    return callbacks;
+}
+
+/**
+ * Run a training call and hand the resulting model back through IndexedDB
+ */
+async function runTraining(classLabels, train) {
+    modelManager.classLabels = classLabels;
+
+    let endResults = null;
+    const callbacks = {
+        ...createCallbacks(),
+        onTrainingEnd: (completed, results) => {
+            endResults = results;
+        }
+    };
+
+    const completed = await train(callbacks);
+    await modelManager.model.save(WORKER_MODEL_URL);
+
+    return { completed, results: endResults, state: modelManager.getTrainingState() };
+}
+
+const handlers = {
+    train: ({ trainingData, params, options, classLabels }) =>
+        runTraining(classLabels, callbacks => modelManager.train(trainingData, params, callbacks, options)),
+
+    resumeFromCheckpoint: ({ trainingData, classLabels }) =>
+        runTraining(classLabels, callbacks => modelManager.resumeFromCheckpoint(trainingData, callbacks)),
+
+    continueTraining: ({ trainingData, params, classLabels }) =>
+        runTraining(classLabels, callbacks => modelManager.continueTraining(trainingData, params, callbacks)),
+
+    pauseTraining: () => modelManager.pauseTraining(),
+
+    resumeTraining: () => modelManager.resumeTraining(),
+
+    stopTraining: () => modelManager.stopTraining(),
+
+    getMemoryInfo: () => getMemoryInfo(),
+
+    /**
+     * Take over the page's current model, saved to WORKER_MODEL_URL
+     */
+    loadModel: async ({ state }) => {
+        const model = await tf.loadLayersModel(WORKER_MODEL_URL);
+        modelManager.applyTrainingState(model, state);
+    },
+
+    // Class labels come with each request so renamed classes show up in predictions
+
+    predict: ({ image, classLabels }) => {
+        modelManager.classLabels = classLabels;
+        return modelManager.predict(imageBitmapToData(image));
+    },
+
+    predictImages: ({ images, batchSize, classLabels }) => {
+        modelManager.classLabels = classLabels;
+        return modelManager.predictImages(images.map(imageBitmapToData), batchSize);
+    },
+
+    evaluateClassification: ({ samples, batchSize, classLabels }) => {
+        modelManager.classLabels = classLabels;
+        return modelManager.evaluateClassification(samples, batchSize);
+    }
+};
+
+self.onmessage = async (event) => {
+    const { id, type, payload } = event.data;
+    try {
+        const value = await handlers[type](payload || {});
+        self.postMessage({ type: 'result', id, value });
+    } catch (error) {
+        console.error(`Worker request "${type}" failed:`, error);
+        self.postMessage({ type: 'error', id, message: error.message });
+    }
+};
+
+await storage.init();
+const backend = await setBackend(await getBackendSetting());
+self.postMessage({ type: 'ready', backend });